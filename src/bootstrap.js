@@ -0,0 +1,112 @@
+// bootstrap.js
+// Handling of Maxwell bootstrap output, the snapshot of the rows a table
+// already had before Maxwell started (triggered with bootstrap_table.js).
+//
+// A bootstrap is a distinct phase per table: `bootstrap-start`, one
+// `bootstrap-insert` per existing row, then `bootstrap-complete`. Its state is
+// kept in the bootstrap collection, one document per `database.table`, so a
+// restarted consumer knows which bootstraps are still running.
+//
+// Maxwell reads the snapshot after bootstrap-start while live binlog events
+// keep flowing, so a snapshot row may be older than a live event for the same
+// row. Snapshot rows are therefore versioned at the start of the bootstrap:
+// they replace rows last changed before it, but never a row a live event has
+// changed since. Live deletes leave a versioned tombstone (`_deleted: true`,
+// see ordering.js), so a snapshot row read before the delete cannot bring the
+// row back either.
+
+const BOOTSTRAP_CONTROL_TYPES = ['bootstrap-start', 'bootstrap-complete'];
+
+const BOOTSTRAP_INSERT = 'bootstrap-insert';
+
+/**
+ * Whether a Maxwell message type starts or completes a bootstrap
+ */
+function isBootstrapControl(type) {
+  return BOOTSTRAP_CONTROL_TYPES.includes(type);
+}
+
+/**
+ * Whether a Maxwell message type is a snapshot row
+ */
+function isBootstrapInsert(type) {
+  return type === BOOTSTRAP_INSERT;
+}
+
+/**
+ * Version of the snapshot rows of a bootstrap that started at `startTs`. It is
+ * older than every live event of the same second, which wins the tie. Without
+ * a known start (bootstrap-start was missed) snapshot rows only fill in rows
+ * that do not exist yet.
+ */
+function buildSnapshotVersion(startTs) {
+  return { ts: startTs || 0, position: '', xid: 0, xoffset: 0 };
+}
+
+/**
+ * Start ts of every running bootstrap by `database.table`
+ */
+async function loadRunningBootstraps(statusCollection) {
+  const running = new Map();
+  const documents = await statusCollection.find({ state: 'running' }).toArray();
+  
+  for (const document of documents) {
+    running.set(document._id, document.start_ts);
+  }
+  
+  return running;
+}
+
+/**
+ * Record that a bootstrap started. Returns its start ts.
+ */
+async function startBootstrap(statusCollection, content) {
+  const name = `${content.database}.${content.table}`;
+  
+  await statusCollection.updateOne(
+    { _id: name },
+    {
+      $set: {
+        database: content.database,
+        table: content.table,
+        state: 'running',
+        start_ts: content.ts,
+        started_at: content.received_at,
+        completed_at: null,
+        rows: null
+      }
+    },
+    { upsert: true }
+  );
+  
+  return content.ts;
+}
+
+/**
+ * Record that a bootstrap completed with `rows` snapshot rows
+ */
+async function completeBootstrap(statusCollection, content, rows) {
+  await statusCollection.updateOne(
+    { _id: `${content.database}.${content.table}` },
+    {
+      $set: {
+        database: content.database,
+        table: content.table,
+        state: 'complete',
+        completed_at: content.received_at,
+        rows
+      }
+    },
+    { upsert: true }
+  );
+}
+
+module.exports = {
+  BOOTSTRAP_CONTROL_TYPES,
+  isBootstrapControl,
+  isBootstrapInsert,
+  buildSnapshotVersion,
+  loadRunningBootstraps,
+  startBootstrap,
+  completeBootstrap
+};
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// bootstrap_table.js
+// Trigger a Maxwell bootstrap of a table, so the rows it had before Maxwell
+// started (or before it was onboarded) are replicated too.
+//
+// Maxwell picks up bootstrap requests from its `bootstrap` table and emits the
+// rows as `bootstrap-insert` events between `bootstrap-start` and
+// `bootstrap-complete` (see bootstrap.js for how the consumer applies them).
+// With `--wait` the command follows the request's progress until Maxwell has
+// emitted every row.
+const mysql = require('mysql2/promise');
+const { createLogger } = require('./logger');
+const { initConfig, addConfigArguments } = require('./config');
+const { buildMysqlOptions } = require('./connection_options');
+const argparse = require('argparse');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['mysql', 'logging']);
+
+// Configure logging
+const logger = createLogger({ service: 'bootstrap-table', ...config.logging });
+
+// Seconds between progress checks with --wait
+const POLL_INTERVAL_SECONDS = 2;
+
+/**
+ * Establish connection to MySQL with retry logic
+ */
+async function connectToMySQL() {
+  while (true) {
+    try {
+      const connection = await mysql.createConnection(buildMysqlOptions(config.mysql));
+      
+      logger.info('Successfully connected to MySQL');
+      return connection;
+    } catch (error) {
+      logger.warn(`Failed to connect to MySQL: ${error.message}. Retrying in 5 seconds...`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+/**
+ * Split a `database.table` argument
+ */
+function parseTableName(value) {
+  const match = /^([^.]+)\.([^.]+)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid table '${value}', expected database.table`);
+  }
+  return { database: match[1], table: match[2] };
+}
+
+/**
+ * Queue a bootstrap request for Maxwell. Returns the id of the request.
+ */
+async function requestBootstrap(connection, { maxwellSchema, database, table, where, clientId }) {
+  const [tables] = await connection.query(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?',
+    [database, table]
+  );
+  if (tables.length === 0) {
+    throw new Error(`Table ${database}.${table} does not exist`);
+  }
+  
+  const [result] = await connection.query(
+    `INSERT INTO ${mysql.escapeId(maxwellSchema)}.bootstrap (database_name, table_name, where_clause, client_id)
+     VALUES (?, ?, ?, ?)`,
+    [database, table, where || null, clientId]
+  );
+  return result.insertId;
+}
+
+/**
+ * Follow a bootstrap request until Maxwell marks it complete or `timeout`
+ * seconds have passed. Returns the final state of the request.
+ */
+async function waitForBootstrap(connection, maxwellSchema, id, timeout) {
+  const deadline = Date.now() + timeout * 1000;
+  let lastInserted = null;
+  
+  while (true) {
+    const [rows] = await connection.query(
+      `SELECT is_complete, inserted_rows, total_rows FROM ${mysql.escapeId(maxwellSchema)}.bootstrap WHERE id = ?`,
+      [id]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Bootstrap request ${id} disappeared`);
+    }
+    
+    const request = rows[0];
+    if (request.is_complete) {
+      return request;
+    }
+    
+    if (request.inserted_rows !== lastInserted) {
+      logger.info(`Bootstrap ${id}: ${request.inserted_rows} of ~${request.total_rows} rows emitted`);
+      lastInserted = request.inserted_rows;
+    }
+    
+    if (timeout > 0 && Date.now() >= deadline) {
+      throw new Error(`Bootstrap ${id} did not complete within ${timeout}s`);
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_SECONDS * 1000));
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  // Set up command line arguments
+  const parser = new argparse.ArgumentParser({
+    description: 'Trigger a Maxwell bootstrap of a table'
+  });
+  
+  parser.add_argument('table', {
+    help: 'Table to bootstrap as database.table'
+  });
+  
+  parser.add_argument('--where', {
+    dest: 'where',
+    help: 'Only bootstrap rows matching this SQL condition'
+  });
+  
+  parser.add_argument('--client-id', {
+    dest: 'client_id',
+    default: 'maxwell',
+    help: 'client_id of the Maxwell instance that should run the bootstrap'
+  });
+  
+  parser.add_argument('--maxwell-schema', {
+    dest: 'maxwell_schema',
+    default: 'maxwell',
+    help: 'Database holding Maxwell\'s state'
+  });
+  
+  parser.add_argument('--wait', {
+    dest: 'wait',
+    action: 'store_true',
+    help: 'Wait until Maxwell has emitted every row'
+  });
+  
+  parser.add_argument('--timeout', {
+    dest: 'timeout',
+    type: 'int',
+    default: 0,
+    help: 'Give up waiting after this many seconds (0 waits forever)'
+  });
+  
+  addConfigArguments(parser);
+  
+  const args = parser.parse_args();
+  const { database, table } = parseTableName(args.table);
+  const connection = await connectToMySQL();
+  
+  try {
+    const id = await requestBootstrap(connection, {
+      maxwellSchema: args.maxwell_schema,
+      database,
+      table,
+      where: args.where,
+      clientId: args.client_id
+    });
+    logger.info(`Requested bootstrap ${id} of ${database}.${table} from Maxwell client ${args.client_id}`, { database, table });
+    
+    if (args.wait) {
+      const request = await waitForBootstrap(connection, args.maxwell_schema, id, args.timeout);
+      logger.info(`Bootstrap ${id} of ${database}.${table} complete: ${request.inserted_rows} rows emitted`, { database, table });
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+// Start the application
+main().catch(error => {
+  logger.error(`Failed to bootstrap table: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+// connection_options.js
+// Client options for RabbitMQ, MongoDB and MySQL built from the config groups
+// of the same name (see config.js), including TLS.
+//
+// Credentials are passed as separate options instead of being embedded in a
+// connection string, so they never end up in a URL that could be logged.
+const fs = require('fs');
+
+/**
+ * Read a certificate or key file, or undefined when no file is configured
+ */
+function readOptionalFile(file) {
+  return file ? fs.readFileSync(file) : undefined;
+}
+
+/**
+ * Drop undefined and null entries so client defaults apply
+ */
+function compact(options) {
+  const result = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Arguments for amqp.connect(url, socketOptions). With `tls` the connection
+ * uses amqps with the configured CA and optional client certificate.
+ */
+function buildAmqpOptions(settings) {
+  const url = {
+    protocol: settings.tls ? 'amqps' : 'amqp',
+    hostname: settings.host,
+    port: settings.port,
+    username: settings.user,
+    password: settings.pass,
+    vhost: settings.vhost
+  };
+  
+  const socketOptions = settings.tls
+    ? compact({
+      ca: settings.caFile ? [readOptionalFile(settings.caFile)] : undefined,
+      cert: readOptionalFile(settings.certFile),
+      key: readOptionalFile(settings.keyFile),
+      passphrase: settings.keyPassphrase,
+      rejectUnauthorized: settings.tlsRejectUnauthorized,
+      servername: settings.host
+    })
+    : {};
+  
+  return { url, socketOptions };
+}
+
+/**
+ * Where a RabbitMQ connection goes, without the password, for log lines
+ */
+function describeAmqpTarget(settings) {
+  const vhost = settings.vhost === '/' ? '' : encodeURIComponent(settings.vhost);
+  return `${settings.tls ? 'amqps' : 'amqp'}://${settings.user}@${settings.host}:${settings.port}/${vhost}`;
+}
+
+/**
+ * Options for new MongoClient(uri, options). Username and password given here
+ * take precedence over credentials in the URI.
+ */
+function buildMongoClientOptions(settings) {
+  const options = compact({
+    authSource: settings.authSource,
+    tlsCAFile: settings.caFile,
+    tlsCertificateKeyFile: settings.certificateKeyFile,
+    tlsCertificateKeyFilePassword: settings.certificateKeyPassword
+  });
+  
+  if (settings.tls) {
+    options.tls = true;
+  }
+  
+  if (settings.username) {
+    options.auth = { username: settings.username, password: settings.password || undefined };
+  }
+  
+  return options;
+}
+
+/**
+ * Options for mysql.createConnection / mysql.createPool
+ */
+function buildMysqlOptions(settings) {
+  const options = {
+    host: settings.host,
+    port: settings.port,
+    user: settings.user,
+    password: settings.password,
+    database: settings.database
+  };
+  
+  if (settings.ssl) {
+    options.ssl = compact({
+      ca: readOptionalFile(settings.sslCaFile),
+      cert: readOptionalFile(settings.sslCertFile),
+      key: readOptionalFile(settings.sslKeyFile),
+      rejectUnauthorized: settings.sslRejectUnauthorized
+    });
+  }
+  
+  return options;
+}
+
+module.exports = {
+  buildAmqpOptions,
+  describeAmqpTarget,
+  buildMongoClientOptions,
+  buildMysqlOptions
+};
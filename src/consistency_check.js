@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+// consistency_check.js
+// Verify that the pipeline is lossless: compare a MySQL table with the state
+// implied by the `changes` collection, i.e. the latest non-delete row event per
+// primary key.
+//
+// The table is walked in primary key order in chunks of `--chunk-size` rows.
+// Each chunk covers a key range that is read in full from both sides, so memory
+// stays bounded by the chunk size. Chunks whose checksums match are done,
+// the others are compared row by row; the checksums are computed here after
+// normalizing, so they save the row diff but not the transfer. Rows missing
+// from the change log, extra rows that only exist in it and rows with
+// divergent fields are reported, and the exit status is 2 when anything drifted.
+// Values are compared in a normalized form so that, e.g., a DATETIME read from
+// MySQL matches its Maxwell string or the Date stored with type mapping.
+const mysql = require('mysql2/promise');
+const { MongoClient, Binary } = require('mongodb');
+const crypto = require('crypto');
+const { createLogger, useStderr } = require('./logger');
+const { initConfig, addConfigArguments } = require('./config');
+const { buildMysqlOptions, buildMongoClientOptions } = require('./connection_options');
+const { ROW_TYPES, diffRows } = require('./row_history');
+const argparse = require('argparse');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['mysql', 'mongodb', 'logging']);
+
+// Configure logging
+const logger = createLogger({ service: 'consistency-check', ...config.logging });
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_DRIFT = 2;
+
+/**
+ * Establish connection to MySQL with retry logic
+ */
+async function connectToMySQL() {
+  while (true) {
+    try {
+      const connection = await mysql.createConnection({
+        ...buildMysqlOptions(config.mysql),
+        // Temporal values as text, TIMESTAMPs in UTC like Maxwell writes them
+        dateStrings: true
+      });
+      await connection.query("SET time_zone = '+00:00'");
+      
+      logger.info('Successfully connected to MySQL');
+      return connection;
+    } catch (error) {
+      logger.warn(`Failed to connect to MySQL: ${error.message}. Retrying in 5 seconds...`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+/**
+ * Primary key column of a table. Composite keys are not supported because
+ * chunks are ranges of a single key.
+ */
+async function getPrimaryKeyColumn(connection, database, table) {
+  const [rows] = await connection.query(
+    `SELECT COLUMN_NAME AS name FROM information_schema.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND CONSTRAINT_NAME = 'PRIMARY'
+     ORDER BY ORDINAL_POSITION`,
+    [database, table]
+  );
+  
+  if (rows.length === 0) {
+    throw new Error(`${database}.${table} does not exist or has no primary key`);
+  }
+  if (rows.length > 1) {
+    throw new Error(`${database}.${table} has a composite primary key (${rows.map(row => row.name).join(', ')}), which is not supported`);
+  }
+  return rows[0].name;
+}
+
+/**
+ * Format a Date the way MySQL and Maxwell write DATETIME values
+ */
+function formatDate(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.000Z$|Z$/, '');
+}
+
+/**
+ * Normalize a value from either side into a comparable JSON value
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return formatDate(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+  if (value instanceof Binary) {
+    return Buffer.from(value.buffer).toString('base64');
+  }
+  if (value._bsontype === 'Long' || value._bsontype === 'Decimal128' || typeof value === 'bigint') {
+    return normalizeValue(value.toString());
+  }
+  if (typeof value === 'number') {
+    return normalizeValue(String(value));
+  }
+  if (typeof value === 'string') {
+    // Decimals read as text keep their trailing zeros; zero fractions of times are dropped
+    if (/^-?\d+\.\d+$/.test(value)) {
+      return value.replace(/\.?0+$/, '');
+    }
+    if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}\.0+$/.test(value)) {
+      return value.replace(/\.0+$/, '');
+    }
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      result[key] = normalizeValue(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Normalize a row, leaving out ignored columns
+ */
+function normalizeRow(row, ignoreColumns) {
+  const result = {};
+  for (const column of Object.keys(row).sort()) {
+    if (!ignoreColumns.includes(column)) {
+      result[column] = normalizeValue(row[column]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Checksum of normalized rows keyed by primary key, independent of row order
+ */
+function checksumRows(rows) {
+  const hash = crypto.createHash('sha256');
+  for (const key of [...rows.keys()].sort()) {
+    hash.update(`${key}\n${JSON.stringify(rows.get(key))}\n`);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Read the next chunk of MySQL rows after `after` (exclusive) in key order
+ */
+async function readMysqlChunk(connection, database, table, keyColumn, after, chunkSize) {
+  const where = after === null ? '' : `WHERE ${mysql.escapeId(keyColumn)} > ?`;
+  const [rows] = await connection.query(
+    `SELECT * FROM ${mysql.escapeId(database)}.${mysql.escapeId(table)} ${where}
+     ORDER BY ${mysql.escapeId(keyColumn)} LIMIT ?`,
+    after === null ? [chunkSize] : [after, chunkSize]
+  );
+  return rows;
+}
+
+/**
+ * Latest row event per key in the range (lower, upper] of the change log.
+ * A null bound leaves that side of the range open. Keys whose latest event is
+ * a delete are left out.
+ */
+async function readChangeLogChunk(collection, database, table, keyColumn, lower, upper) {
+  const field = `data.${keyColumn}`;
+  const range = {};
+  if (lower !== null) {
+    range.$gt = lower;
+  }
+  if (upper !== null) {
+    range.$lte = upper;
+  }
+  
+  const filter = { database, table, type: { $in: ROW_TYPES } };
+  filter[field] = Object.keys(range).length > 0 ? range : { $exists: true };
+  
+  // Snapshot rows stand for the start of their bootstrap, like in the consumer
+  const latest = await collection.aggregate([
+    { $match: filter },
+    { $addFields: { order_ts: { $ifNull: ['$bootstrap_start_ts', '$ts'] } } },
+    { $sort: { order_ts: 1, xid: 1, xoffset: 1, _id: 1 } },
+    { $group: { _id: `$${field}`, type: { $last: '$type' }, data: { $last: '$data' } } }
+  ], { allowDiskUse: true }).toArray();
+  
+  return latest.filter(event => event.type !== 'delete');
+}
+
+/**
+ * Compare one key range. Returns the chunk result with its drifted rows.
+ */
+function compareChunk(mysqlRows, changeLogRows, keyColumn, ignoreColumns) {
+  const expected = new Map();
+  for (const row of mysqlRows) {
+    expected.set(String(normalizeValue(row[keyColumn])), normalizeRow(row, ignoreColumns));
+  }
+  
+  const actual = new Map();
+  for (const event of changeLogRows) {
+    actual.set(String(normalizeValue(event._id)), normalizeRow(event.data || {}, ignoreColumns));
+  }
+  
+  const result = {
+    rows: expected.size,
+    mysqlChecksum: checksumRows(expected),
+    changesChecksum: checksumRows(actual),
+    missing: [],
+    extra: [],
+    divergent: []
+  };
+  
+  if (result.mysqlChecksum === result.changesChecksum) {
+    return result;
+  }
+  
+  for (const [key, row] of expected) {
+    if (!actual.has(key)) {
+      result.missing.push({ key, row });
+      continue;
+    }
+    
+    const changes = diffRows(actual.get(key), row);
+    if (Object.keys(changes).length > 0) {
+      const fields = {};
+      for (const [column, change] of Object.entries(changes)) {
+        fields[column] = { mysql: change.to, changes: change.from };
+      }
+      result.divergent.push({ key, fields });
+    }
+  }
+  
+  for (const [key, row] of actual) {
+    if (!expected.has(key)) {
+      result.extra.push({ key, row });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Compare a MySQL table with the change log chunk by chunk. Returns a report
+ * with totals and every drifted row.
+ */
+async function checkConsistency(connection, collection, { database, table, chunkSize, ignoreColumns }) {
+  const keyColumn = await getPrimaryKeyColumn(connection, database, table);
+  const report = { database, table, keyColumn, chunks: 0, driftedChunks: 0, rows: 0, missing: [], extra: [], divergent: [] };
+  
+  let lower = null;
+  while (true) {
+    const mysqlRows = await readMysqlChunk(connection, database, table, keyColumn, lower, chunkSize);
+    // The last chunk is open-ended so change log rows past the end of the table count as extra
+    const last = mysqlRows.length < chunkSize;
+    const upper = last ? null : mysqlRows[mysqlRows.length - 1][keyColumn];
+    const changeLogRows = await readChangeLogChunk(collection, database, table, keyColumn, lower, upper);
+    
+    const chunk = compareChunk(mysqlRows, changeLogRows, keyColumn, ignoreColumns);
+    const range = `${keyColumn} ${lower === null ? '(-inf' : `(${lower}`}, ${upper === null ? '+inf)' : `${upper}]`}`;
+    const drifted = chunk.missing.length + chunk.extra.length + chunk.divergent.length > 0;
+    
+    report.chunks++;
+    report.rows += chunk.rows;
+    report.missing.push(...chunk.missing);
+    report.extra.push(...chunk.extra);
+    report.divergent.push(...chunk.divergent);
+    
+    if (drifted) {
+      report.driftedChunks++;
+      logger.warn(`Chunk ${report.chunks} ${range}: checksum ${chunk.mysqlChecksum} in MySQL, ${chunk.changesChecksum} in changes`);
+    } else {
+      logger.debug(`Chunk ${report.chunks} ${range}: ${chunk.rows} rows match (checksum ${chunk.mysqlChecksum})`);
+    }
+    
+    if (last) {
+      return report;
+    }
+    lower = upper;
+  }
+}
+
+/**
+ * Log the drifted rows of a report, at most `limit` of each kind
+ */
+function logReport(report, limit) {
+  const name = `${report.database}.${report.table}`;
+  const log = (items, describe) => {
+    for (const item of items.slice(0, limit)) {
+      logger.error(describe(item), { database: report.database, table: report.table, key: item.key });
+    }
+    if (items.length > limit) {
+      logger.error(`... and ${items.length - limit} more`);
+    }
+  };
+  
+  log(report.missing, item => `MISSING ${report.keyColumn}=${item.key}: in MySQL but not in changes: ${JSON.stringify(item.row)}`);
+  log(report.extra, item => `EXTRA ${report.keyColumn}=${item.key}: in changes but not in MySQL: ${JSON.stringify(item.row)}`);
+  log(report.divergent, item => {
+    const fields = Object.entries(item.fields)
+      .map(([column, values]) => `${column}: ${JSON.stringify(values.mysql)} in MySQL, ${JSON.stringify(values.changes)} in changes`)
+      .join('; ');
+    return `DIVERGENT ${report.keyColumn}=${item.key}: ${fields}`;
+  });
+  
+  logger.info(`${name}: ${report.rows} rows in ${report.chunks} chunks, ${report.driftedChunks} chunks drifted, ` +
+    `${report.missing.length} missing, ${report.extra.length} extra, ${report.divergent.length} divergent`);
+}
+
+/**
+ * Whether a report found any drift
+ */
+function hasDrift(report) {
+  return report.missing.length + report.extra.length + report.divergent.length > 0;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  // Set up command line arguments
+  const parser = new argparse.ArgumentParser({
+    description: 'Compare a MySQL table with the state recorded in the MongoDB change log'
+  });
+  
+  parser.add_argument('--database', {
+    dest: 'database',
+    default: config.mysql.database,
+    help: 'Database of the table (default: MYSQL_DATABASE)'
+  });
+  
+  parser.add_argument('--table', {
+    dest: 'table',
+    default: 'users',
+    help: 'Table to verify'
+  });
+  
+  parser.add_argument('--chunk-size', {
+    dest: 'chunk_size',
+    type: 'int',
+    default: 1000,
+    help: 'Rows per compared primary key range'
+  });
+  
+  parser.add_argument('--ignore-columns', {
+    dest: 'ignore_columns',
+    default: '',
+    help: 'Comma-separated columns left out of the comparison'
+  });
+  
+  parser.add_argument('--wait', {
+    dest: 'wait',
+    type: 'float',
+    default: 0,
+    help: 'Keep re-checking for up to this many seconds while events are still in flight'
+  });
+  
+  parser.add_argument('--max-report', {
+    dest: 'max_report',
+    type: 'int',
+    default: 20,
+    help: 'Rows logged per kind of drift'
+  });
+  
+  parser.add_argument('--json', {
+    dest: 'json',
+    action: 'store_true',
+    help: 'Print the full report as JSON'
+  });
+  
+  addConfigArguments(parser);
+  
+  const args = parser.parse_args();
+  if (args.chunk_size < 1) {
+    parser.error('--chunk-size must be at least 1');
+  }
+  
+  // Keep stdout for the report
+  if (args.json) {
+    useStderr(logger);
+  }
+  
+  const options = {
+    database: args.database,
+    table: args.table,
+    chunkSize: args.chunk_size,
+    ignoreColumns: args.ignore_columns.split(',').map(column => column.trim()).filter(Boolean)
+  };
+  
+  const connection = await connectToMySQL();
+  const client = new MongoClient(config.mongodb.uri, buildMongoClientOptions(config.mongodb));
+  
+  try {
+    await client.connect();
+    const collection = client.db(config.mongodb.db).collection(config.mongodb.collection);
+    
+    const deadline = Date.now() + args.wait * 1000;
+    let report = await checkConsistency(connection, collection, options);
+    
+    while (hasDrift(report) && Date.now() < deadline) {
+      logger.info('Drift found, checking again in 2 seconds in case events are still in flight');
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      report = await checkConsistency(connection, collection, options);
+    }
+    
+    logReport(report, args.max_report);
+    if (args.json) {
+      process.stdout.write(`${JSON.stringify(report)}\n`);
+    }
+    
+    return hasDrift(report) ? EXIT_DRIFT : EXIT_OK;
+  } finally {
+    await connection.end();
+    await client.close();
+  }
+}
+
+module.exports = {
+  getPrimaryKeyColumn,
+  normalizeValue,
+  compareChunk,
+  checkConsistency
+};
+
+// Start the application when run from the command line
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error(`Failed to check consistency: ${error.message}`);
+      process.exit(EXIT_ERROR);
+    });
+}
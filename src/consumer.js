@@ -1,74 +1,156 @@
 // consumer.js
-const amqp = require('amqplib');
 const { MongoClient } = require('mongodb');
-const winston = require('winston');
+const argparse = require('argparse');
+const { createLogger } = require('./logger');
+const { initConfig, addConfigArguments } = require('./config');
+const { buildAmqpOptions, buildMongoClientOptions } = require('./connection_options');
+const {
+  assertDeadLetterTopology,
+  getDeadLetterQueueName,
+  retryOrDeadLetter
+} = require('./dead_letter');
+const { RabbitMQConnectionManager } = require('./rabbitmq_connection');
+const { loadFilterRules, createMessageFilter } = require('./message_filter');
+const { buildVersion, buildVersionGuard, buildTombstone, createPartitionedExecutor } = require('./ordering');
+const {
+  isSchemaChange,
+  buildSchemaHistoryEntry,
+  applySchemaChangeToReplicas
+} = require('./schema_history');
+const {
+  isBootstrapControl,
+  isBootstrapInsert,
+  buildSnapshotVersion,
+  loadRunningBootstraps,
+  startBootstrap,
+  completeBootstrap
+} = require('./bootstrap');
+const { createTypeMapper } = require('./type_mapping');
+const {
+  createMetrics,
+  getMessageLabels,
+  getReplicationLag,
+  timeWrite,
+  startMetricsServer
+} = require('./metrics');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['rabbitmq', 'mongodb', 'consumer', 'filter', 'logging']);
 
 // Configure logging
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} - ${level}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
-
-// Constants and configuration
-const RABBITMQ_HOST = process.env.RABBITMQ_HOST || 'rabbitmq';
-const RABBITMQ_PORT = parseInt(process.env.RABBITMQ_PORT || '5672');
-const RABBITMQ_USER = process.env.RABBITMQ_USER || 'guest';
-const RABBITMQ_PASS = process.env.RABBITMQ_PASS || 'guest';
-const RABBITMQ_EXCHANGE = process.env.RABBITMQ_EXCHANGE || 'maxwell';
-const RABBITMQ_QUEUE = process.env.RABBITMQ_QUEUE || 'maxwell_consumer';
-
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://mongodb:27017/';
-const MONGODB_DB = process.env.MONGODB_DB || 'binlog_replica';
-const MONGODB_COLLECTION = process.env.MONGODB_COLLECTION || 'changes';
-
-/**
- * Connect to RabbitMQ with retry logic
- */
-async function connectToRabbitMQ() {
-  while (true) {
-    try {
-      // Create connection
-      const connectionString = `amqp://${RABBITMQ_USER}:${RABBITMQ_PASS}@${RABBITMQ_HOST}:${RABBITMQ_PORT}`;
-      const connection = await amqp.connect(connectionString);
-      
-      // Handle connection errors and close events
-      connection.on('error', (err) => {
-        logger.error(`RabbitMQ connection error: ${err.message}`);
-        setTimeout(connectToRabbitMQ, 5000);
-      });
-      
-      connection.on('close', () => {
-        logger.warn('RabbitMQ connection closed. Reconnecting...');
-        setTimeout(connectToRabbitMQ, 5000);
-      });
-      
-      // Create channel
-      const channel = await connection.createChannel();
-      
-      // Declare exchange
-      await channel.assertExchange(RABBITMQ_EXCHANGE, 'fanout', { durable: true });
-      
-      // Declare queue
-      await channel.assertQueue(RABBITMQ_QUEUE, { durable: true });
-      
-      // Bind queue to exchange
-      await channel.bindQueue(RABBITMQ_QUEUE, RABBITMQ_EXCHANGE, '');
-      
-      logger.info('Successfully connected to RabbitMQ');
-      return { connection, channel };
-    } catch (error) {
-      logger.warn(`Failed to connect to RabbitMQ: ${error.message}. Retrying in 5 seconds...`);
-      await new Promise(resolve => setTimeout(resolve, 5000));
-    }
+const logger = createLogger({ service: 'consumer', ...config.logging });
+
+// Constants and configuration; connection and TLS settings stay in `config`
+const RABBITMQ_EXCHANGE = config.rabbitmq.exchange;
+const RABBITMQ_QUEUE = config.rabbitmq.queue;
+
+// Exchange type: `fanout` (default) delivers every event to the queue, `topic`
+// routes on Maxwell's `database.table` routing key using RABBITMQ_BINDING_KEYS
+const RABBITMQ_EXCHANGE_TYPE = config.rabbitmq.exchangeType;
+const RABBITMQ_BINDING_KEYS = config.rabbitmq.bindingKeys;
+
+const MONGODB_DB = config.mongodb.db;
+const MONGODB_COLLECTION = config.mongodb.collection;
+const SCHEMA_HISTORY_COLLECTION = config.mongodb.schemaHistoryCollection;
+const BOOTSTRAP_COLLECTION = config.mongodb.bootstrapCollection;
+
+// Materialized current-state collections (one per source table, e.g. `sample_db.users`)
+const MATERIALIZE_DEFAULT = config.consumer.materializeDefault;
+const MATERIALIZE_INCLUDE = new Set(config.consumer.materializeInclude);
+const MATERIALIZE_EXCLUDE = new Set(config.consumer.materializeExclude);
+
+// Deleted rows stay as tombstones (`_deleted: true`) for this long so older
+// events for them are still recognized as stale; 0 keeps them forever
+const TOMBSTONE_TTL_SECONDS = config.consumer.tombstoneTtlSeconds;
+
+// Index conflict codes when the TTL index exists with other options
+const INDEX_OPTIONS_CONFLICT_ERRORS = [85, 86];
+
+// Include/exclude rules for which messages are stored (see message_filter.js)
+const FILTER_RULES = loadFilterRules(config.filter);
+const acceptsMessage = createMessageFilter(FILTER_RULES);
+
+// Type-faithful conversion of row values into BSON (see type_mapping.js)
+const TYPE_MAPPING = config.consumer.typeMapping;
+const TYPE_MAPPING_SCHEMA_FILE = config.consumer.typeMappingSchemaFile;
+const typeMapper = TYPE_MAPPING ? createTypeMapper({ schemaFile: TYPE_MAPPING_SCHEMA_FILE }) : null;
+
+// Interval between consumer statistics log lines
+const STATS_INTERVAL = config.consumer.statsInterval;
+
+// Port of the /metrics, /healthz and /readyz HTTP server (0 disables it)
+const METRICS_PORT = config.consumer.metricsPort;
+const HEALTH_CHECK_TIMEOUT_MS = config.consumer.healthCheckTimeoutMs;
+
+// Ordered processing: messages are partitioned by table and primary key, each
+// partition is processed serially and partitions run concurrently (up to PREFETCH)
+const ORDERED_PROCESSING = config.consumer.orderedProcessing;
+const ORDERED_PARTITIONS = config.consumer.orderedPartitions;
+
+// Reconnect backoff: doubles from the initial delay up to the maximum, with jitter
+const RABBITMQ_RECONNECT_INITIAL_MS = config.rabbitmq.reconnectInitialMs;
+const RABBITMQ_RECONNECT_MAX_MS = config.rabbitmq.reconnectMaxMs;
+
+// Batching: flush up to BATCH_SIZE messages with one bulkWrite, or whatever
+// has arrived after BATCH_TIMEOUT_MS. A BATCH_SIZE of 1 processes messages one by one.
+const BATCH_SIZE = config.consumer.batchSize;
+const BATCH_TIMEOUT_MS = config.consumer.batchTimeoutMs;
+const PREFETCH = config.consumer.prefetch;
+
+// Retry budget: failed messages are retried after each delay in turn (the last
+// delay repeats) until MAX_RETRIES is reached, then parked in the dead-letter queue
+const MAX_RETRIES = config.consumer.maxRetries;
+const RETRY_DELAYS_MS = config.consumer.retryDelaysMs;
+
+// Graceful shutdown: how long to wait for in-flight messages after SIGTERM/SIGINT
+const SHUTDOWN_TIMEOUT_MS = config.consumer.shutdownTimeoutMs;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_DRAIN_TIMEOUT = 2;
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Consumer statistics, reported periodically in the logs
+const stats = {
+  processed: 0,
+  duplicates: 0,
+  filtered: 0,
+  stale: 0,
+  retried: 0,
+  deadLettered: 0
+};
+
+// Prometheus metrics, served on METRICS_PORT (see metrics.js)
+const metrics = createMetrics();
+
+// Start ts of the running bootstraps by `database.table` (see bootstrap.js)
+let runningBootstraps = new Map();
+
+/**
+ * Declare the exchange, queue and binding the consumer reads from.
+ * Runs on every (re)connect, before the consumer is subscribed.
+ */
+async function setupTopology(channel) {
+  // Declare exchange
+  await channel.assertExchange(RABBITMQ_EXCHANGE, RABBITMQ_EXCHANGE_TYPE, { durable: true });
+  
+  // Declare queue
+  await channel.assertQueue(RABBITMQ_QUEUE, { durable: true });
+  
+  // Bind queue to exchange; a fanout exchange ignores routing keys
+  const bindingKeys = RABBITMQ_EXCHANGE_TYPE === 'topic' ? RABBITMQ_BINDING_KEYS : [''];
+  for (const bindingKey of bindingKeys) {
+    await channel.bindQueue(RABBITMQ_QUEUE, RABBITMQ_EXCHANGE, bindingKey);
   }
+  
+  // Declare retry queues and the dead-letter queue
+  await assertDeadLetterTopology(channel, RABBITMQ_QUEUE, RETRY_DELAYS_MS);
+  
+  // Set up consumer with prefetch
+  await channel.prefetch(PREFETCH);
 }
 
 /**
@@ -77,7 +159,7 @@ async function connectToRabbitMQ() {
 async function connectToMongoDB() {
   while (true) {
     try {
-      const client = new MongoClient(MONGODB_URI);
+      const client = new MongoClient(config.mongodb.uri, buildMongoClientOptions(config.mongodb));
       await client.connect();
       
       const db = client.db(MONGODB_DB);
@@ -88,8 +170,22 @@ async function connectToMongoDB() {
       await collection.createIndex({ 'data.id': 1 });
       await collection.createIndex({ ts: 1 });
       
+      // Redelivered events share an event_id; ObjectId _ids keep insertion order for the monitor
+      await collection.createIndex(
+        { event_id: 1 },
+        { unique: true, partialFilterExpression: { event_id: { $exists: true } } }
+      );
+      
+      // DDL events, queried per table in time order
+      const schemaHistory = db.collection(SCHEMA_HISTORY_COLLECTION);
+      await schemaHistory.createIndex({ database: 1, table: 1, ts: 1 });
+      await schemaHistory.createIndex(
+        { event_id: 1 },
+        { unique: true, partialFilterExpression: { event_id: { $exists: true } } }
+      );
+      
       logger.info('Successfully connected to MongoDB');
-      return { client, collection };
+      return { client, db, collection };
     } catch (error) {
       logger.warn(`Failed to connect to MongoDB: ${error.message}. Retrying in 5 seconds...`);
       await new Promise(resolve => setTimeout(resolve, 5000));
@@ -97,33 +193,738 @@ async function connectToMongoDB() {
   }
 }
 
+/**
+ * Decide whether a table should have a materialized current-state collection
+ */
+function shouldMaterialize(database, table) {
+  const name = `${database}.${table}`;
+  if (MATERIALIZE_EXCLUDE.has(name)) {
+    return false;
+  }
+  if (MATERIALIZE_INCLUDE.has(name)) {
+    return true;
+  }
+  return MATERIALIZE_DEFAULT;
+}
+
+/**
+ * Build the replica document _id from the MySQL primary key of a row event.
+ * Uses Maxwell's primary_key/primary_key_columns when present and falls back
+ * to the `id` column. Composite keys become an object of column -> value.
+ */
+function getPrimaryKey(content) {
+  const data = content.data || {};
+  let columns = content.primary_key_columns;
+  
+  if (!Array.isArray(columns) || columns.length === 0) {
+    columns = ['id'];
+  }
+  
+  const values = Array.isArray(content.primary_key)
+    ? content.primary_key
+    : columns.map(column => data[column]);
+  
+  if (values.length !== columns.length || values.some(value => value === undefined)) {
+    return null;
+  }
+  
+  if (columns.length === 1) {
+    return values[0];
+  }
+  
+  const key = {};
+  columns.forEach((column, index) => {
+    key[column] = values[index];
+  });
+  return key;
+}
+
+/**
+ * Build the bulk write operation that applies a row event to the materialized
+ * collection of its table. Inserts, updates and snapshot rows replace the row
+ * keyed by primary key, tagged with its `_source` (`binlog` or `bootstrap`),
+ * and deletes replace it with a versioned tombstone that expires after
+ * TOMBSTONE_TTL_SECONDS. Returns null when the event is not materialized.
+ *
+ * Both are guarded by the row's stored `_version`: an upsert over a newer row
+ * fails with a duplicate key error, which callers treat as a stale event once
+ * a retry fails the same way.
+ */
+function buildReplicaOperation(content) {
+  const { database, table, type } = content;
+  
+  if (!database || !table || !shouldMaterialize(database, table)) {
+    return null;
+  }
+  
+  if (!['insert', 'update', 'delete', 'bootstrap-insert'].includes(type)) {
+    return null;
+  }
+  
+  const primaryKey = getPrimaryKey(content);
+  if (primaryKey === null) {
+    logger.warn(`Skipping materialization of ${type} event for ${database}.${table}: no primary key found`, getLogFields(content));
+    return null;
+  }
+  
+  const collectionName = `${database}.${table}`;
+  const snapshot = isBootstrapInsert(type);
+  const version = snapshot ? buildSnapshotVersion(runningBootstraps.get(collectionName)) : buildVersion(content);
+  const filter = { _id: primaryKey, ...buildVersionGuard(version) };
+  
+  // The tombstone keeps the delete's version, so an older write that arrives
+  // later (a retried update, a snapshot row) cannot recreate the row
+  if (type === 'delete') {
+    return {
+      collectionName,
+      operation: { replaceOne: { filter, replacement: buildTombstone(primaryKey, version), upsert: true } }
+    };
+  }
+  
+  return {
+    collectionName,
+    operation: {
+      replaceOne: {
+        filter,
+        replacement: { ...content.data, _id: primaryKey, _version: version, _source: snapshot ? 'bootstrap' : 'binlog' },
+        upsert: true
+      }
+    }
+  };
+}
+
+// Materialized collections whose tombstone TTL index has been checked
+const tombstoneIndexes = new Set();
+
+/**
+ * Materialized collection of a table, making sure its tombstones expire after
+ * TOMBSTONE_TTL_SECONDS. The TTL is updated in place when it was changed.
+ */
+async function getReplicaCollection(db, name) {
+  const replicaCollection = db.collection(name);
+  
+  if (TOMBSTONE_TTL_SECONDS > 0 && !tombstoneIndexes.has(name)) {
+    try {
+      await replicaCollection.createIndex(
+        { _deleted_at: 1 },
+        { name: 'tombstone_ttl', expireAfterSeconds: TOMBSTONE_TTL_SECONDS, partialFilterExpression: { _deleted: true } }
+      );
+    } catch (error) {
+      if (!INDEX_OPTIONS_CONFLICT_ERRORS.includes(error.code)) {
+        throw error;
+      }
+      await db.command({ collMod: name, index: { name: 'tombstone_ttl', expireAfterSeconds: TOMBSTONE_TTL_SECONDS } });
+    }
+    tombstoneIndexes.add(name);
+  }
+  
+  return replicaCollection;
+}
+
+/**
+ * Apply a row event to the materialized collection of its table.
+ * Returns false when the row already holds a newer version.
+ */
+async function applyToReplica(db, content) {
+  const replica = buildReplicaOperation(content);
+  
+  if (replica === null) {
+    return true;
+  }
+  
+  const stale = await applyReplicaOperations(await getReplicaCollection(db, replica.collectionName), [replica.operation]);
+  return stale.size === 0;
+}
+
+/**
+ * Retry a replica operation that failed with a duplicate key error. Two
+ * upserts of a missing row can race, and the one that loses fails even when
+ * it is the newer event; on the retry the guard matches the stored row if it
+ * is older. Returns false when the retry fails the same way, i.e. the stored
+ * row is newer.
+ */
+async function retryDuplicateKey(replicaCollection, operation) {
+  try {
+    await timeWrite(metrics, 'replica', () => replicaCollection.bulkWrite([operation], { ordered: true }));
+    return true;
+  } catch (error) {
+    const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+    
+    if (writeErrors.length > 0 && writeErrors[0].code === DUPLICATE_KEY_ERROR) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Apply replica operations in order with one bulkWrite, skipping stale ones.
+ * An ordered bulkWrite stops at a failed upsert, which is retried once before
+ * it counts as stale, and the rest is resubmitted. Returns the indexes of
+ * stale operations; other errors are thrown with `firstFailedIndex` set to the
+ * first operation that was not applied.
+ */
+async function applyReplicaOperations(replicaCollection, operations) {
+  const stale = new Set();
+  let start = 0;
+  
+  while (start < operations.length) {
+    try {
+      await timeWrite(metrics, 'replica', () => replicaCollection.bulkWrite(operations.slice(start), { ordered: true }));
+      break;
+    } catch (error) {
+      const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+      
+      if (writeErrors.length === 0 || writeErrors[0].code !== DUPLICATE_KEY_ERROR) {
+        error.firstFailedIndex = start + (writeErrors.length > 0 ? writeErrors[0].index : 0);
+        throw error;
+      }
+      
+      const index = start + writeErrors[0].index;
+      try {
+        if (!(await retryDuplicateKey(replicaCollection, operations[index]))) {
+          stale.add(index);
+        }
+      } catch (retryError) {
+        retryError.firstFailedIndex = index;
+        throw retryError;
+      }
+      start = index + 1;
+    }
+  }
+  
+  return stale;
+}
+
+/**
+ * Structured log fields that tie a log line to the binlog event and delivery
+ * it is about, so it can be correlated with the MySQL transaction
+ */
+function getLogFields(content, message) {
+  const fields = {};
+  
+  if (content) {
+    fields.database = content.database;
+    fields.table = content.table;
+    fields.type = content.type;
+    fields.xid = content.xid;
+    fields.position = content.position;
+    fields.event_id = content.event_id;
+  }
+  
+  if (message) {
+    fields.delivery_tag = message.fields.deliveryTag;
+  }
+  
+  return fields;
+}
+
+/**
+ * Log and count an event that was older than the materialized row
+ */
+function recordStale(content) {
+  stats.stale++;
+  metrics.stale.inc(getMessageLabels(content));
+  logger.warn(`Skipped stale ${content.type} event ${content.event_id} for ${content.database}.${content.table}: row already has a newer version`, getLogFields(content));
+}
+
+/**
+ * Parse a message without side effects to decide how to schedule it.
+ * Returns null for malformed messages, which fail later in processMessage.
+ */
+function peekMessage(message) {
+  try {
+    return JSON.parse(message.content.toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Key used to partition a message in ordered processing mode:
+ * the table plus the primary key of the row it changes
+ */
+function getPartitionKey(content) {
+  if (content === null) {
+    // Malformed messages fail in processMessage, any partition will do
+    return '';
+  }
+  return `${content.database}.${content.table}:${JSON.stringify(getPrimaryKey(content))}`;
+}
+
+/**
+ * Record a DDL event in the schema history and make the materialized
+ * collections follow it
+ */
+async function applySchemaChange(db, content) {
+  try {
+    await timeWrite(metrics, 'schema_history', () => db.collection(SCHEMA_HISTORY_COLLECTION).insertOne(buildSchemaHistoryEntry(content)));
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+  }
+  
+  if (typeMapper) {
+    typeMapper.learnFromSchemaChange(content);
+  }
+  
+  const actions = await applySchemaChangeToReplicas(db, content, shouldMaterialize);
+  for (const action of actions) {
+    logger.info(`Schema change ${content.type} on ${content.database}.${content.table || '*'}: ${action}`, getLogFields(content));
+  }
+}
+
+/**
+ * Record the start or completion of a bootstrap
+ */
+async function applyBootstrapControl(db, collection, content) {
+  const { database, table } = content;
+  const name = `${database}.${table}`;
+  const statusCollection = db.collection(BOOTSTRAP_COLLECTION);
+  
+  if (content.type === 'bootstrap-start') {
+    runningBootstraps.set(name, await startBootstrap(statusCollection, content));
+    logger.info(`Bootstrap of ${name} started`, getLogFields(content));
+    return;
+  }
+  
+  const startTs = runningBootstraps.get(name) || 0;
+  const rows = await collection.countDocuments({ database, table, type: 'bootstrap-insert', ts: { $gte: startTs } });
+  
+  await completeBootstrap(statusCollection, content, rows);
+  runningBootstraps.delete(name);
+  logger.info(`Bootstrap of ${name} completed with ${rows} rows`, getLogFields(content));
+}
+
+/**
+ * Derive a deterministic event_id for a Maxwell event from its binlog coordinates.
+ * A redelivered message maps to the same event_id, so storing it twice fails on
+ * the unique index instead of creating a second copy. Returns null for events
+ * without transaction information, which are stored without one.
+ */
+function buildEventId(content) {
+  // Snapshot rows have no binlog coordinates, their read time and key identify them
+  if (isBootstrapInsert(content.type) && content.xid === undefined) {
+    return `bootstrap:${content.database}.${content.table}:${content.ts}:${JSON.stringify(getPrimaryKey(content))}`;
+  }
+  
+  // bootstrap-start and bootstrap-complete have neither; one of each per table and time
+  if (isBootstrapControl(content.type) && content.xid === undefined) {
+    return `${content.type}:${content.database}.${content.table}:${content.ts}`;
+  }
+  
+  if (content.xid === undefined && content.position === undefined) {
+    return null;
+  }
+  
+  const position = content.position !== undefined ? content.position : content.ts;
+  const xid = content.xid !== undefined ? content.xid : '';
+  const xoffset = content.xoffset !== undefined ? content.xoffset : 0;
+  
+  return `${position}:${xid}:${xoffset}`;
+}
+
+/**
+ * Parse a RabbitMQ message into the document stored in the changes collection
+ */
+function parseMessage(message) {
+  const text = message.content.toString();
+  let content;
+  try {
+    content = typeMapper ? typeMapper.parseMessage(text) : JSON.parse(text);
+  } catch (error) {
+    metrics.consumed.inc(getMessageLabels(null));
+    throw error;
+  }
+  metrics.consumed.inc(getMessageLabels(content));
+  
+  // Add a timestamp for when we received the message
+  content.received_at = Date.now() / 1000; // Unix timestamp in seconds
+  
+  // Key the event on its binlog position so redeliveries are detected
+  const eventId = buildEventId(content);
+  if (eventId !== null) {
+    content.event_id = eventId;
+  }
+  
+  // Tag snapshot rows with the bootstrap they belong to, the point in time they stand for
+  if (isBootstrapInsert(content.type)) {
+    content.bootstrap_start_ts = runningBootstraps.get(`${content.database}.${content.table}`) || null;
+  }
+  
+  return content;
+}
+
+/**
+ * Log and count a stored (or skipped duplicate) event. `startedAt` is when
+ * processing of the message began, logged as `duration_ms`.
+ */
+function recordEvent(content, duplicate, message, startedAt) {
+  const database = content.database || 'unknown';
+  const table = content.table || 'unknown';
+  const typeOfChange = content.type || 'unknown';
+  const fields = { ...getLogFields(content, message), duration_ms: Date.now() - startedAt };
+  
+  if (duplicate) {
+    stats.duplicates++;
+    metrics.duplicates.inc(getMessageLabels(content));
+    logger.warn(`Skipped duplicate ${typeOfChange} event ${content.event_id} for ${database}.${table}`, fields);
+  } else {
+    stats.processed++;
+    logger.info(`Processed ${typeOfChange} event for ${database}.${table}`, fields);
+    
+    const lag = getReplicationLag(content);
+    if (lag !== null) {
+      metrics.lag.observe({ database, table }, lag);
+      metrics.lastLag.set({ database, table }, lag);
+    }
+  }
+}
+
+/**
+ * Retry a failed message later or move it to the dead-letter queue
+ */
+async function handleFailure(message, channel, error) {
+  const peeked = peekMessage(message);
+  const labels = getMessageLabels(peeked);
+  const fields = getLogFields(peeked, message);
+  
+  try {
+    const result = await retryOrDeadLetter(channel, message, error, {
+      queue: RABBITMQ_QUEUE,
+      retryDelays: RETRY_DELAYS_MS,
+      maxRetries: MAX_RETRIES
+    });
+    
+    metrics.nacked.inc({ ...labels, action: result.action });
+    
+    if (result.action === 'retry') {
+      stats.retried++;
+      logger.warn(`Retrying message in ${result.delay}ms (attempt ${result.attempt} of ${MAX_RETRIES})`, fields);
+    } else {
+      stats.deadLettered++;
+      const reason = result.retryable ? `after ${result.attempt} retries` : 'as it is not retryable';
+      logger.error(`Moved message to ${getDeadLetterQueueName(RABBITMQ_QUEUE)} ${reason}: ${error.message}`, fields);
+    }
+  } catch (publishError) {
+    logger.error(`Error moving failed message to retry: ${publishError.message}`, fields);
+    // Reject the message and requeue it; on a closed channel it is redelivered anyway
+    try {
+      channel.nack(message, false, true);
+    } catch (nackError) {
+      logger.warn(`Could not requeue message: ${nackError.message}`, fields);
+    }
+    metrics.nacked.inc({ ...labels, action: 'requeue' });
+  }
+}
+
+/**
+ * Log and count a message skipped by the filter rules
+ */
+function recordFiltered(content, message) {
+  stats.filtered++;
+  metrics.filtered.inc(getMessageLabels(content));
+  logger.debug(`Filtered out ${content.type || 'unknown'} event for ${content.database || 'unknown'}.${content.table || 'unknown'}`, getLogFields(content, message));
+}
+
 /**
  * Process incoming message from RabbitMQ
  */
-async function processMessage(message, channel, collection) {
+async function processMessage(message, channel, db, collection) {
+  const startedAt = Date.now();
+  
   try {
     // Parse the JSON message
-    const content = JSON.parse(message.content.toString());
+    const content = parseMessage(message);
     
-    // Add a timestamp for when we received the message
-    content.received_at = Date.now() / 1000; // Unix timestamp in seconds
+    // Ack messages excluded by the filter rules without storing them
+    if (!acceptsMessage(content)) {
+      recordFiltered(content, message);
+      channel.ack(message);
+      metrics.acked.inc(getMessageLabels(content));
+      return;
+    }
     
     // Store the message in MongoDB
-    await collection.insertOne(content);
+    let duplicate = false;
+    try {
+      await timeWrite(metrics, 'insert', () => collection.insertOne(content));
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+      duplicate = true;
+    }
     
-    // Log information about the message
-    const database = content.database || 'unknown';
-    const table = content.table || 'unknown';
-    const typeOfChange = content.type || 'unknown';
+    // Keep the per-table current-state collection in sync. This is idempotent,
+    // so it is re-applied for duplicates in case the first attempt stopped here.
+    if (isSchemaChange(content.type)) {
+      await applySchemaChange(db, content);
+    } else if (isBootstrapControl(content.type)) {
+      await applyBootstrapControl(db, collection, content);
+    } else if (!(await applyToReplica(db, content))) {
+      recordStale(content);
+    }
     
-    logger.info(`Processed ${typeOfChange} event for ${database}.${table}`);
+    recordEvent(content, duplicate, message, startedAt);
     
     // Acknowledge the message
     channel.ack(message);
+    metrics.acked.inc(getMessageLabels(content));
   } catch (error) {
-    logger.error(`Error processing message: ${error.message}`);
-    // Reject the message and requeue it
-    channel.nack(message, false, true);
+    logger.error(`Error processing message: ${error.message}`, getLogFields(null, message));
+    await handleFailure(message, channel, error);
+  }
+}
+
+/**
+ * Map the write errors of an unordered bulkWrite failure to the indexes of the
+ * operations that failed. Errors without per-operation detail fail every operation.
+ */
+function getFailedIndexes(error, operationCount) {
+  const writeErrors = error.writeErrors
+    ? [].concat(error.writeErrors)
+    : [];
+  
+  if (writeErrors.length === 0) {
+    return new Set(Array.from({ length: operationCount }, (_, index) => index));
+  }
+  
+  return new Set(writeErrors.map(writeError => writeError.index));
+}
+
+/**
+ * Process a batch of RabbitMQ messages with bulk writes.
+ * When the whole batch succeeds it is acked at once with allUpTo, otherwise each
+ * message is settled on its own and failed ones go to retry or the dead-letter queue.
+ */
+async function processBatch(messages, channel, db, collection) {
+  const failed = new Map();
+  const duplicates = new Set();
+  const entries = [];
+  const contents = [];
+  const startedAt = Date.now();
+  
+  // Parse messages; malformed ones fail on their own and filtered ones are
+  // left out of the writes but still acked with the rest of the batch
+  messages.forEach((message, index) => {
+    try {
+      const content = parseMessage(message);
+      contents[index] = content;
+      if (acceptsMessage(content)) {
+        entries.push({ index, content });
+      } else {
+        recordFiltered(content, message);
+      }
+    } catch (error) {
+      logger.error(`Error parsing message: ${error.message}`, getLogFields(null, message));
+      failed.set(index, error);
+    }
+  });
+  
+  // Store all events in the changes collection with one unordered bulkWrite
+  if (entries.length > 0) {
+    try {
+      await timeWrite(metrics, 'bulk_insert', () => collection.bulkWrite(
+        entries.map(entry => ({ insertOne: { document: entry.content } })),
+        { ordered: false }
+      ));
+    } catch (error) {
+      const failedIndexes = getFailedIndexes(error, entries.length);
+      const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+      const duplicateIndexes = new Set(writeErrors
+        .filter(writeError => writeError.code === DUPLICATE_KEY_ERROR)
+        .map(writeError => writeError.index));
+      
+      failedIndexes.forEach(index => {
+        if (duplicateIndexes.has(index)) {
+          duplicates.add(entries[index].index);
+        } else {
+          failed.set(entries[index].index, error);
+        }
+      });
+      
+      if (failedIndexes.size > duplicateIndexes.size) {
+        logger.error(`Bulk write to ${MONGODB_COLLECTION} failed for ${failedIndexes.size - duplicateIndexes.size} of ${entries.length} messages: ${error.message}`);
+      }
+    }
+  }
+  
+  // Apply stored events to the materialized collections, one ordered bulkWrite
+  // per collection so that changes to the same row keep their binlog order
+  const replicaGroups = new Map();
+  for (const entry of entries) {
+    if (failed.has(entry.index)) {
+      continue;
+    }
+    
+    const replica = buildReplicaOperation(entry.content);
+    if (replica === null) {
+      continue;
+    }
+    
+    if (!replicaGroups.has(replica.collectionName)) {
+      replicaGroups.set(replica.collectionName, []);
+    }
+    replicaGroups.get(replica.collectionName).push({ index: entry.index, operation: replica.operation });
+  }
+  
+  for (const [collectionName, group] of replicaGroups) {
+    try {
+      const stale = await applyReplicaOperations(await getReplicaCollection(db, collectionName), group.map(item => item.operation));
+      stale.forEach(index => recordStale(entries.find(entry => entry.index === group[index].index).content));
+    } catch (error) {
+      for (let index = error.firstFailedIndex || 0; index < group.length; index++) {
+        failed.set(group[index].index, error);
+      }
+      logger.error(`Bulk write to ${collectionName} failed for ${group.length - (error.firstFailedIndex || 0)} of ${group.length} messages: ${error.message}`);
+    }
+  }
+  
+  for (const entry of entries) {
+    if (!failed.has(entry.index)) {
+      recordEvent(entry.content, duplicates.has(entry.index), messages[entry.index], startedAt);
+    }
+  }
+  
+  // Acknowledge the messages
+  if (failed.size === 0) {
+    channel.ack(messages[messages.length - 1], true);
+    contents.forEach(content => metrics.acked.inc(getMessageLabels(content)));
+    return;
+  }
+  
+  for (const [index, message] of messages.entries()) {
+    if (failed.has(index)) {
+      await handleFailure(message, channel, failed.get(index));
+    } else {
+      channel.ack(message);
+      metrics.acked.inc(getMessageLabels(contents[index]));
+    }
+  }
+}
+
+/**
+ * Create a batcher that collects messages and flushes them with processBatch
+ * when BATCH_SIZE messages are waiting or BATCH_TIMEOUT_MS has passed.
+ * Flushes run one at a time so acks with allUpTo never cover a later batch.
+ */
+function createBatcher(db, collection) {
+  let pending = [];
+  let pendingChannel = null;
+  let timer = null;
+  let flushing = Promise.resolve();
+  
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    
+    if (pending.length === 0) {
+      return flushing;
+    }
+    
+    const batch = pending;
+    const channel = pendingChannel;
+    pending = [];
+    pendingChannel = null;
+    
+    flushing = flushing
+      .then(() => processBatch(batch, channel, db, collection))
+      .catch(error => {
+        logger.error(`Error in batch processing: ${error.message}`);
+      });
+    
+    return flushing;
+  }
+  
+  function add(message, channel) {
+    // Delivery tags belong to a channel, so a batch never mixes channels
+    if (pendingChannel && pendingChannel !== channel) {
+      flush();
+    }
+    
+    pending.push(message);
+    pendingChannel = channel;
+    
+    if (pending.length >= BATCH_SIZE) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, BATCH_TIMEOUT_MS);
+    }
+  }
+  
+  // Schema changes and bootstrap start/complete are processed on their own,
+  // after everything before them
+  function addExclusive(message, channel) {
+    flush();
+    
+    flushing = flushing
+      .then(() => processMessage(message, channel, db, collection))
+      .catch(error => {
+        logger.error(`Error in message processing: ${error.message}`);
+      });
+  }
+  
+  // Drop unflushed messages of a lost channel; RabbitMQ redelivers them
+  function discard() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    
+    if (pending.length > 0) {
+      logger.warn(`Discarding ${pending.length} unflushed messages, they will be redelivered`);
+    }
+    
+    pending = [];
+    pendingChannel = null;
+  }
+  
+  return { add, addExclusive, flush, discard };
+}
+
+/**
+ * Wait until every tracked in-flight promise has settled, up to a timeout.
+ * Returns true when everything finished in time.
+ */
+async function waitForInFlight(inFlight, timeoutMs) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  
+  const drained = (async () => {
+    // Work may still be added while waiting (e.g. a batch flush), so loop until empty
+    while (inFlight.size > 0) {
+      await Promise.allSettled([...inFlight]);
+    }
+    return true;
+  })();
+  
+  const result = await Promise.race([drained, timeout]);
+  clearTimeout(timer);
+  return result;
+}
+
+/**
+ * Check MongoDB with a ping, giving up after HEALTH_CHECK_TIMEOUT_MS
+ */
+async function checkMongoDB(db) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no ping response within ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+  });
+  
+  try {
+    await Promise.race([db.command({ ping: 1 }), timeout]);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
@@ -131,61 +932,220 @@ async function processMessage(message, channel, collection) {
  * Main function
  */
 async function main() {
-  let mongoClient, rabbitMQConnection;
+  let mongoClient, rabbitmq, metricsServer;
+  let batcher = null;
+  let shuttingDown = false;
+  
+  // The consumer takes no arguments besides the config flags
+  const parser = new argparse.ArgumentParser({
+    description: 'Consume Maxwell events from RabbitMQ and store them in MongoDB'
+  });
+  addConfigArguments(parser);
+  parser.parse_args();
+  
+  // Messages being written and acked right now, awaited on shutdown
+  const inFlight = new Set();
+  const track = (promise) => {
+    inFlight.add(promise);
+    promise.finally(() => inFlight.delete(promise));
+    return promise;
+  };
+  
+  // Handle graceful shutdown: stop new deliveries, drain in-flight messages,
+  // then close connections. A second signal exits immediately. Registered
+  // before connecting, so a signal during startup also closes what is open.
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn(`Received ${signal} again, exiting without draining`);
+      process.exit(EXIT_ERROR);
+    }
+    shuttingDown = true;
+    
+    logger.info(`Received ${signal}, shutting down consumer...`);
+    
+    let exitCode = EXIT_OK;
+    
+    // Stop receiving new messages; on a broken channel nothing more arrives anyway
+    try {
+      if (rabbitmq) {
+        await rabbitmq.cancelConsumers();
+      }
+    } catch (error) {
+      logger.warn(`Could not cancel consumers: ${error.message}`);
+    }
+    
+    try {
+      // Write out whatever is still waiting in the batch
+      if (batcher) {
+        track(batcher.flush());
+      }
+      
+      logger.info(`Waiting up to ${SHUTDOWN_TIMEOUT_MS}ms for ${inFlight.size} in-flight operations...`);
+      const drained = await waitForInFlight(inFlight, SHUTDOWN_TIMEOUT_MS);
+      
+      if (drained) {
+        logger.info('All in-flight messages have been processed');
+      } else {
+        logger.warn(`Timed out with ${inFlight.size} in-flight operations, unacked messages will be redelivered`);
+        exitCode = EXIT_DRAIN_TIMEOUT;
+      }
+    } catch (error) {
+      logger.error(`Error while draining messages: ${error.message}`);
+      exitCode = EXIT_ERROR;
+    }
+    
+    try {
+      // Close RabbitMQ connection
+      if (rabbitmq) {
+        await rabbitmq.close();
+      }
+      
+      // Close MongoDB connection
+      if (mongoClient) {
+        await mongoClient.close();
+      }
+      
+      // Stop serving metrics and health checks
+      if (metricsServer) {
+        metricsServer.close();
+      }
+      
+      logger.info('Consumer has been shut down');
+    } catch (error) {
+      logger.error(`Error during shutdown: ${error.message}`);
+      exitCode = EXIT_ERROR;
+    }
+    
+    process.exit(exitCode);
+  };
+  
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
   
   try {
     // Connect to MongoDB
     const mongodb = await connectToMongoDB();
     mongoClient = mongodb.client;
+    const db = mongodb.db;
     const collection = mongodb.collection;
     
-    // Connect to RabbitMQ
-    const rabbitmq = await connectToRabbitMQ();
-    rabbitMQConnection = rabbitmq.connection;
-    const channel = rabbitmq.channel;
+    // Column types of tables whose DDL has been seen before
+    if (typeMapper) {
+      const count = await typeMapper.loadSchemaHistory(db.collection(SCHEMA_HISTORY_COLLECTION));
+      logger.info(`Type mapping enabled, loaded ${count} table definitions from ${SCHEMA_HISTORY_COLLECTION}`);
+    }
     
-    // Set up consumer with prefetch
-    channel.prefetch(1);
+    // Bootstraps that were running when the consumer last stopped
+    runningBootstraps = await loadRunningBootstraps(db.collection(BOOTSTRAP_COLLECTION));
+    if (runningBootstraps.size > 0) {
+      logger.info(`Resuming running bootstraps of ${[...runningBootstraps.keys()].join(', ')}`);
+    }
     
-    logger.info('Starting to consume messages...');
+    // Serve metrics and health checks; /readyz turns ready once RabbitMQ is connected
+    if (METRICS_PORT > 0) {
+      metricsServer = startMetricsServer({
+        port: METRICS_PORT,
+        metrics,
+        logger,
+        getHealth: async () => ({
+          live: !shuttingDown,
+          checks: {
+            rabbitmq: { ok: Boolean(rabbitmq && rabbitmq.isConnected()), state: rabbitmq ? rabbitmq.state : 'idle' },
+            mongodb: await checkMongoDB(db)
+          }
+        })
+      });
+    }
     
-    // Start consuming messages
-    channel.consume(RABBITMQ_QUEUE, (message) => {
-      if (message) {
-        processMessage(message, channel, collection).catch(err => {
-          logger.error(`Error in message processing: ${err.message}`);
-        });
+    batcher = BATCH_SIZE > 1 ? createBatcher(db, collection) : null;
+    const executor = !batcher && ORDERED_PROCESSING ? createPartitionedExecutor(ORDERED_PARTITIONS) : null;
+    
+    // Connect to RabbitMQ; the manager reconnects and re-subscribes on its own
+    rabbitmq = new RabbitMQConnectionManager({
+      ...buildAmqpOptions(config.rabbitmq),
+      setup: setupTopology,
+      // Retried and dead-lettered copies are confirmed before the original is acked
+      confirm: true,
+      logger,
+      initialDelay: RABBITMQ_RECONNECT_INITIAL_MS,
+      maxDelay: RABBITMQ_RECONNECT_MAX_MS
+    });
+    
+    rabbitmq.on('state', (state, previous) => {
+      logger.info(`RabbitMQ connection state changed from ${previous} to ${state}`);
+    });
+    
+    rabbitmq.on('disconnected', () => {
+      if (batcher) {
+        batcher.discard();
       }
     });
     
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      logger.info('Shutting down consumer...');
+    await rabbitmq.start();
+    
+    if (RABBITMQ_EXCHANGE_TYPE === 'topic') {
+      logger.info(`Queue ${RABBITMQ_QUEUE} is bound to topic exchange ${RABBITMQ_EXCHANGE} with keys [${RABBITMQ_BINDING_KEYS.join(', ')}]`);
+    }
+    
+    if (FILTER_RULES.tables.length > 0 || FILTER_RULES.types.length > 0) {
+      logger.info(`Filtering messages by tables [${FILTER_RULES.tables.join(', ')}] and types [${FILTER_RULES.types.join(', ')}]`);
+    }
+    
+    const mode = batcher ? `batch size ${BATCH_SIZE}` : executor ? `ordered, ${ORDERED_PARTITIONS} partitions` : 'unordered';
+    logger.info(`Starting to consume messages (prefetch ${PREFETCH}, ${mode})...`);
+    
+    // Periodically report consumer statistics
+    if (STATS_INTERVAL > 0) {
+      setInterval(() => {
+        logger.info(`Stats: ${stats.processed} events processed, ${stats.duplicates} duplicates skipped, ${stats.filtered} filtered, ${stats.stale} stale, ${stats.retried} retried, ${stats.deadLettered} dead-lettered`);
+      }, STATS_INTERVAL * 1000).unref();
+    }
+    
+    // A signal during startup stops before anything is consumed
+    if (shuttingDown) {
+      return;
+    }
+    
+    // Start consuming messages
+    await rabbitmq.consume(RABBITMQ_QUEUE, (message, channel) => {
+      if (!message) {
+        return;
+      }
       
-      try {
-        // Close RabbitMQ connection
-        if (rabbitMQConnection) {
-          await rabbitMQConnection.close();
-        }
-        
-        // Close MongoDB connection
-        if (mongoClient) {
-          await mongoClient.close();
-        }
-        
-        logger.info('Consumer has been shut down');
-        process.exit(0);
-      } catch (error) {
-        logger.error(`Error during shutdown: ${error.message}`);
-        process.exit(1);
+      // DDL and bootstrap start/complete events act as barriers so they never
+      // overtake earlier row events
+      const peeked = batcher || executor ? peekMessage(message) : null;
+      const barrier = peeked !== null && (isSchemaChange(peeked.type) || isBootstrapControl(peeked.type));
+      
+      if (batcher && barrier) {
+        batcher.addExclusive(message, channel);
+      } else if (batcher) {
+        batcher.add(message, channel);
+      } else if (executor) {
+        const task = () => processMessage(message, channel, db, collection);
+        const result = barrier
+          ? executor.runExclusive(task)
+          : executor.run(getPartitionKey(peeked), task);
+        track(result.catch(err => {
+          logger.error(`Error in message processing: ${err.message}`);
+        }));
+      } else {
+        track(processMessage(message, channel, db, collection).catch(err => {
+          logger.error(`Error in message processing: ${err.message}`);
+        }));
       }
     });
   } catch (error) {
+    // Startup fails when a signal closes the connections under it; shutdown exits
+    if (shuttingDown) {
+      return;
+    }
+    
     logger.error(`Unexpected error in main: ${error.message}`);
     
     // Clean up resources
-    if (rabbitMQConnection) {
-      await rabbitMQConnection.close();
+    if (rabbitmq) {
+      await rabbitmq.close();
     }
     
     if (mongoClient) {
@@ -196,8 +1156,17 @@ async function main() {
   }
 }
 
-// Start the application
-main().catch(error => {
-  logger.error(`Failed to start consumer: ${error.message}`);
-  process.exit(1);
-});
+module.exports = {
+  buildEventId,
+  buildReplicaOperation,
+  processBatch,
+  createBatcher
+};
+
+// Start the application when run from the command line
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Failed to start consumer: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,160 @@
+// dead_letter.js
+// Retry budget and dead-lettering for messages the consumer fails to process.
+//
+// A failed message is republished to a delayed retry queue
+// (`<queue>.retry.<delay>`), whose TTL dead-letters it back onto the consumer
+// queue. Once the retry budget is spent, or for errors that can never succeed
+// such as malformed JSON, the original payload is published to the
+// dead-letter exchange (`<queue>.dlx`) and parked in `<queue>.dlq`. The
+// channel must be a confirm channel: the original is only acked once the
+// broker has confirmed the copy, so a dropped publish cannot lose the event.
+
+const RETRY_COUNT_HEADER = 'x-retry-count';
+const ERROR_REASON_HEADER = 'x-error-reason';
+const FAILED_AT_HEADER = 'x-failed-at';
+const ORIGINAL_EXCHANGE_HEADER = 'x-original-exchange';
+const ORIGINAL_ROUTING_KEY_HEADER = 'x-original-routing-key';
+
+/**
+ * Name of the dead-letter exchange for a consumer queue
+ */
+function getDeadLetterExchangeName(queue) {
+  return `${queue}.dlx`;
+}
+
+/**
+ * Name of the dead-letter queue for a consumer queue
+ */
+function getDeadLetterQueueName(queue) {
+  return `${queue}.dlq`;
+}
+
+/**
+ * Name of the retry queue that holds messages for `delay` milliseconds
+ */
+function getRetryQueueName(queue, delay) {
+  return `${queue}.retry.${delay}`;
+}
+
+/**
+ * Declare the retry queues, dead-letter exchange and dead-letter queue
+ */
+async function assertDeadLetterTopology(channel, queue, retryDelays) {
+  const deadLetterExchange = getDeadLetterExchangeName(queue);
+  const deadLetterQueue = getDeadLetterQueueName(queue);
+  
+  await channel.assertExchange(deadLetterExchange, 'fanout', { durable: true });
+  await channel.assertQueue(deadLetterQueue, { durable: true });
+  await channel.bindQueue(deadLetterQueue, deadLetterExchange, '');
+  
+  // Expired retry messages go back to the consumer queue via the default exchange
+  for (const delay of retryDelays) {
+    await channel.assertQueue(getRetryQueueName(queue, delay), {
+      durable: true,
+      arguments: {
+        'x-message-ttl': delay,
+        'x-dead-letter-exchange': '',
+        'x-dead-letter-routing-key': queue
+      }
+    });
+  }
+}
+
+/**
+ * Number of times a message has already been retried
+ */
+function getRetryCount(message) {
+  const headers = message.properties.headers || {};
+  return parseInt(headers[RETRY_COUNT_HEADER] || '0') || 0;
+}
+
+/**
+ * Whether an error may go away on a later attempt.
+ * Malformed payloads fail the same way every time.
+ */
+function isRetryable(error) {
+  return !(error instanceof SyntaxError) && error.retryable !== false;
+}
+
+/**
+ * Copy the properties of a message for republishing, with extra headers
+ */
+function buildPublishOptions(message, headers) {
+  const { properties, fields } = message;
+  const originalHeaders = properties.headers || {};
+  
+  return {
+    persistent: true,
+    contentType: properties.contentType,
+    contentEncoding: properties.contentEncoding,
+    messageId: properties.messageId,
+    timestamp: properties.timestamp,
+    headers: {
+      ...originalHeaders,
+      // Keep where the message was first published, retries come from the default exchange
+      [ORIGINAL_EXCHANGE_HEADER]: originalHeaders[ORIGINAL_EXCHANGE_HEADER] !== undefined
+        ? originalHeaders[ORIGINAL_EXCHANGE_HEADER]
+        : fields.exchange,
+      [ORIGINAL_ROUTING_KEY_HEADER]: originalHeaders[ORIGINAL_ROUTING_KEY_HEADER] !== undefined
+        ? originalHeaders[ORIGINAL_ROUTING_KEY_HEADER]
+        : fields.routingKey,
+      ...headers
+    }
+  };
+}
+
+/**
+ * Settle a message that failed processing: schedule a delayed retry while the
+ * budget allows, otherwise publish it to the dead-letter exchange. The original
+ * delivery is acked in both cases, after the publish is confirmed; a rejected
+ * publish throws and leaves the original unacked. Returns what was done with
+ * the message.
+ */
+async function retryOrDeadLetter(channel, message, error, { queue, retryDelays, maxRetries }) {
+  const retryCount = getRetryCount(message);
+  const retryable = isRetryable(error);
+  
+  if (retryable && retryCount < maxRetries) {
+    const delay = retryDelays[Math.min(retryCount, retryDelays.length - 1)];
+    
+    channel.sendToQueue(
+      getRetryQueueName(queue, delay),
+      message.content,
+      buildPublishOptions(message, { [RETRY_COUNT_HEADER]: retryCount + 1 })
+    );
+    await channel.waitForConfirms();
+    channel.ack(message);
+    
+    return { action: 'retry', attempt: retryCount + 1, delay };
+  }
+  
+  channel.publish(
+    getDeadLetterExchangeName(queue),
+    '',
+    message.content,
+    buildPublishOptions(message, {
+      [RETRY_COUNT_HEADER]: retryCount,
+      [ERROR_REASON_HEADER]: error.message,
+      [FAILED_AT_HEADER]: new Date().toISOString()
+    })
+  );
+  await channel.waitForConfirms();
+  channel.ack(message);
+  
+  return { action: 'dead-letter', attempt: retryCount, retryable };
+}
+
+module.exports = {
+  RETRY_COUNT_HEADER,
+  ERROR_REASON_HEADER,
+  FAILED_AT_HEADER,
+  ORIGINAL_EXCHANGE_HEADER,
+  ORIGINAL_ROUTING_KEY_HEADER,
+  getDeadLetterExchangeName,
+  getDeadLetterQueueName,
+  getRetryQueueName,
+  assertDeadLetterTopology,
+  getRetryCount,
+  isRetryable,
+  retryOrDeadLetter
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+const amqp = require('amqplib');
+const { createLogger } = require('./logger');
+const { initConfig, addConfigArguments } = require('./config');
+const { buildAmqpOptions, describeAmqpTarget } = require('./connection_options');
+const argparse = require('argparse');
+const {
+  RETRY_COUNT_HEADER,
+  ERROR_REASON_HEADER,
+  FAILED_AT_HEADER,
+  ORIGINAL_ROUTING_KEY_HEADER,
+  getDeadLetterQueueName
+} = require('./dead_letter');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['rabbitmq', 'logging']);
+
+// Configure logging
+const logger = createLogger({ service: 'dlq-tool', ...config.logging });
+
+// RabbitMQ configuration; connection and TLS settings stay in `config`
+const RABBITMQ_EXCHANGE = config.rabbitmq.exchange;
+const RABBITMQ_QUEUE = config.rabbitmq.queue;
+
+/**
+ * Connect to RabbitMQ and open a confirm channel
+ */
+async function connectToRabbitMQ() {
+  const { url, socketOptions } = buildAmqpOptions(config.rabbitmq);
+  const connection = await amqp.connect(url, socketOptions);
+  const channel = await connection.createConfirmChannel();
+  
+  logger.info(`Successfully connected to RabbitMQ at ${describeAmqpTarget(config.rabbitmq)}`);
+  return { connection, channel };
+}
+
+/**
+ * Decode a dead-lettered message into the fields used for display and filtering
+ */
+function describeMessage(message) {
+  const headers = message.properties.headers || {};
+  let content = null;
+  
+  try {
+    content = JSON.parse(message.content.toString());
+  } catch (error) {
+    // Malformed payloads are a common reason for dead-lettering, keep them listable
+  }
+  
+  return {
+    database: (content && content.database) || 'unknown',
+    table: (content && content.table) || 'unknown',
+    type: (content && content.type) || 'unknown',
+    reason: headers[ERROR_REASON_HEADER] || 'unknown',
+    retries: headers[RETRY_COUNT_HEADER] || 0,
+    failedAt: headers[FAILED_AT_HEADER] || 'unknown',
+    routingKey: headers[ORIGINAL_ROUTING_KEY_HEADER] || ''
+  };
+}
+
+/**
+ * Check a message against the --database/--table/--type filters
+ */
+function matchesFilters(info, args) {
+  if (args.database && info.database !== args.database) {
+    return false;
+  }
+  if (args.table && info.table !== args.table) {
+    return false;
+  }
+  if (args.type && info.type !== args.type) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Build publish options for replaying a message, without the failure headers
+ */
+function buildReplayOptions(message) {
+  const headers = { ...(message.properties.headers || {}) };
+  delete headers[RETRY_COUNT_HEADER];
+  delete headers[ERROR_REASON_HEADER];
+  delete headers[FAILED_AT_HEADER];
+  delete headers['x-death'];
+  
+  return {
+    persistent: true,
+    contentType: message.properties.contentType,
+    contentEncoding: message.properties.contentEncoding,
+    messageId: message.properties.messageId,
+    timestamp: message.properties.timestamp,
+    headers
+  };
+}
+
+/**
+ * Walk the dead-letter queue and list, replay or purge the matching messages.
+ * Every message is fetched without ack; messages that are not replayed or
+ * purged are returned to the queue when the walk is done.
+ */
+async function processDeadLetters(channel, args) {
+  const queue = args.queue;
+  const command = args.command;
+  const requeue = [];
+  let seen = 0;
+  let matched = 0;
+  
+  while (args.limit === 0 || matched < args.limit) {
+    const message = await channel.get(queue, { noAck: false });
+    if (!message) {
+      break;
+    }
+    
+    seen++;
+    const info = describeMessage(message);
+    
+    if (!matchesFilters(info, args)) {
+      requeue.push(message);
+      continue;
+    }
+    
+    matched++;
+    logger.info(`[${matched}] ${info.type} on ${info.database}.${info.table} failed at ${info.failedAt} after ${info.retries} retries: ${info.reason}`);
+    
+    if (args.verbose) {
+      logger.info(`    Payload: ${message.content.toString()}`);
+    }
+    
+    if (command === 'list' || args.dry_run) {
+      if (command === 'replay') {
+        const destination = args.target === 'exchange'
+          ? `exchange ${RABBITMQ_EXCHANGE} with routing key '${info.routingKey}'`
+          : `queue ${RABBITMQ_QUEUE}`;
+        logger.info(`    Would replay to ${destination}`);
+      } else if (command === 'purge') {
+        logger.info('    Would purge');
+      }
+      requeue.push(message);
+      continue;
+    }
+    
+    if (command === 'replay') {
+      if (args.target === 'exchange') {
+        channel.publish(RABBITMQ_EXCHANGE, info.routingKey, message.content, buildReplayOptions(message));
+      } else {
+        channel.sendToQueue(RABBITMQ_QUEUE, message.content, buildReplayOptions(message));
+      }
+      
+      // Only drop the dead-lettered copy once the broker has the replayed one
+      await channel.waitForConfirms();
+    }
+    
+    channel.ack(message);
+  }
+  
+  for (const message of requeue) {
+    channel.nack(message, false, true);
+  }
+  
+  return { seen, matched };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  // Set up command line arguments
+  const parser = new argparse.ArgumentParser({
+    description: 'Inspect, replay or purge dead-lettered consumer messages'
+  });
+  
+  parser.add_argument('command', {
+    choices: ['list', 'replay', 'purge'],
+    help: 'Action to perform on the matching dead-lettered messages'
+  });
+  
+  parser.add_argument('--queue', {
+    dest: 'queue',
+    default: getDeadLetterQueueName(RABBITMQ_QUEUE),
+    help: 'Dead-letter queue to read from'
+  });
+  
+  parser.add_argument('--database', {
+    dest: 'database',
+    help: 'Only messages for this database'
+  });
+  
+  parser.add_argument('--table', {
+    dest: 'table',
+    help: 'Only messages for this table'
+  });
+  
+  parser.add_argument('--type', {
+    dest: 'type',
+    help: 'Only messages of this type (insert, update, delete, ...)'
+  });
+  
+  parser.add_argument('--target', {
+    dest: 'target',
+    choices: ['exchange', 'queue'],
+    default: 'queue',
+    help: `Replay onto the ${RABBITMQ_EXCHANGE} exchange or directly onto the ${RABBITMQ_QUEUE} queue`
+  });
+  
+  parser.add_argument('--limit', {
+    dest: 'limit',
+    type: 'int',
+    default: 0,
+    help: 'Maximum number of matching messages to handle (0 for all)'
+  });
+  
+  parser.add_argument('--dry-run', {
+    dest: 'dry_run',
+    action: 'store_true',
+    help: 'Print what would be replayed or purged without changing anything'
+  });
+  
+  parser.add_argument('--verbose', {
+    dest: 'verbose',
+    action: 'store_true',
+    help: 'Print the message payloads'
+  });
+  
+  addConfigArguments(parser);
+  
+  const args = parser.parse_args();
+  
+  const { connection, channel } = await connectToRabbitMQ();
+  
+  try {
+    const { seen, matched } = await processDeadLetters(channel, args);
+    
+    const verb = args.command === 'replay' ? 'replayed' : 'purged';
+    let summary = `${matched} of ${seen} messages in ${args.queue} matched`;
+    if (args.command !== 'list') {
+      summary += args.dry_run ? ` (dry run, nothing was ${verb})` : ` and were ${verb}`;
+    }
+    logger.info(summary);
+  } finally {
+    await channel.close();
+    await connection.close();
+  }
+}
+
+// Start the application
+main().catch(error => {
+  logger.error(`Failed to run DLQ tool: ${error.message}`);
+  process.exit(1);
+});
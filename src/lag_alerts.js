@@ -0,0 +1,174 @@
+// lag_alerts.js
+// Per-table replication lag and staleness tracking with threshold alerts.
+//
+// Lag is the time from the MySQL commit (`ts`) to the change being received by
+// the consumer (`received_at`). Staleness is the time since the last change of
+// a table was received. An alert fires once when a threshold is crossed and is
+// resolved once the value is back under it; both are logged and, when a
+// webhook is configured, POSTed to it as JSON:
+//   { "alert": "lag", "state": "firing", "table": "sample_db.users",
+//     "value": 42.1, "threshold": 30, "at": "2024-01-01T00:00:00.000Z" }
+const http = require('http');
+const https = require('https');
+const { getReplicationLag } = require('./metrics');
+
+// How long a webhook POST may take
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * POST a JSON body to a URL. Resolves with the status code, rejects on
+ * network errors, timeouts and non-2xx responses.
+ */
+function postJson(url, body, timeoutMs = WEBHOOK_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      timeout: timeoutMs
+    }, response => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve(response.statusCode);
+      } else {
+        reject(new Error(`webhook answered with status ${response.statusCode}`));
+      }
+    });
+    
+    request.on('timeout', () => request.destroy(new Error(`webhook did not answer within ${timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+/**
+ * Create a tracker. Thresholds are in seconds, 0 disables that alert.
+ * `expectedTables` (`database.table` names) are checked for staleness even
+ * before any of their changes has been seen.
+ */
+function createLagTracker({ lagThreshold = 0, staleThreshold = 0, webhookUrl = null, expectedTables = [], logger }) {
+  // `database.table` -> { lastLag, maxLag, lastReceivedAt, count }
+  const tables = new Map();
+  // `<alert>:<table>` of alerts currently firing
+  const firing = new Set();
+  const pending = new Set();
+  const startedAt = Date.now() / 1000;
+  
+  for (const table of expectedTables) {
+    tables.set(table, { lastLag: null, maxLag: null, lastReceivedAt: null, count: 0 });
+  }
+  
+  function notify(alert, state, table, value, threshold) {
+    const rounded = Math.round(value * 10) / 10;
+    if (state === 'firing') {
+      logger.error(`ALERT ${alert} on ${table}: ${rounded}s exceeds ${threshold}s`, { alert, table, value: rounded, threshold });
+    } else {
+      logger.info(`RESOLVED ${alert} on ${table}: ${rounded}s is back under ${threshold}s`, { alert, table, value: rounded, threshold });
+    }
+    
+    if (webhookUrl) {
+      const body = { alert, state, table, value: rounded, threshold, at: new Date().toISOString() };
+      const delivery = postJson(webhookUrl, body)
+        .catch(error => logger.error(`Failed to send ${alert} alert for ${table} to the webhook: ${error.message}`))
+        .finally(() => pending.delete(delivery));
+      pending.add(delivery);
+    }
+  }
+  
+  // Fire or resolve one alert according to its current value
+  function evaluate(alert, table, value, threshold) {
+    if (!threshold || value === null) {
+      return;
+    }
+    
+    const key = `${alert}:${table}`;
+    if (value > threshold && !firing.has(key)) {
+      firing.add(key);
+      notify(alert, 'firing', table, value, threshold);
+    } else if (value <= threshold && firing.has(key)) {
+      firing.delete(key);
+      notify(alert, 'resolved', table, value, threshold);
+    }
+  }
+  
+  /**
+   * Record a change document and check its lag
+   */
+  function observe(change) {
+    const table = `${change.database || 'unknown'}.${change.table || 'unknown'}`;
+    const stats = tables.get(table) || { lastLag: null, maxLag: null, lastReceivedAt: null, count: 0 };
+    tables.set(table, stats);
+    
+    stats.count++;
+    if (typeof change.received_at === 'number') {
+      stats.lastReceivedAt = Math.max(stats.lastReceivedAt || 0, change.received_at);
+    }
+    
+    const lag = getReplicationLag(change);
+    if (lag !== null) {
+      stats.lastLag = lag;
+      stats.maxLag = Math.max(stats.maxLag || 0, lag);
+      evaluate('lag', table, lag, lagThreshold);
+    }
+  }
+  
+  /**
+   * Seconds since the last change of a table, counting from the start of the
+   * tracker for expected tables that have not had one yet
+   */
+  function getStaleness(stats, now) {
+    return now - (stats.lastReceivedAt !== null ? stats.lastReceivedAt : startedAt);
+  }
+  
+  /**
+   * Check every table for staleness. Returns the alerts currently firing.
+   */
+  function check(now = Date.now() / 1000) {
+    for (const [table, stats] of tables) {
+      evaluate('stale', table, getStaleness(stats, now), staleThreshold);
+    }
+    return [...firing];
+  }
+  
+  /**
+   * Set when a table last received a change, e.g. from before the tracker started
+   */
+  function seed(table, lastReceivedAt) {
+    const stats = tables.get(table) || { lastLag: null, maxLag: null, lastReceivedAt: null, count: 0 };
+    stats.lastReceivedAt = Math.max(stats.lastReceivedAt || 0, lastReceivedAt);
+    tables.set(table, stats);
+  }
+  
+  /**
+   * Per-table summary: changes seen, last and max lag, seconds since the last change
+   */
+  function summarize(now = Date.now() / 1000) {
+    const summary = {};
+    for (const [table, stats] of tables) {
+      summary[table] = {
+        count: stats.count,
+        lastLag: stats.lastLag,
+        maxLag: stats.maxLag,
+        sinceLastChange: stats.lastReceivedAt !== null ? now - stats.lastReceivedAt : null
+      };
+    }
+    return summary;
+  }
+  
+  /**
+   * Wait for webhook deliveries that are still running
+   */
+  async function flush() {
+    await Promise.allSettled([...pending]);
+  }
+  
+  return { observe, check, seed, summarize, flush };
+}
+
+module.exports = {
+  postJson,
+  createLagTracker
+};
@@ -0,0 +1,163 @@
+// load_runner.js
+// Pool-based load generation for the test workers.
+//
+// `concurrency` workers each take a connection from a mysql2 pool of the same
+// size for every operation, so operations really run in parallel on separate
+// connections. Starts are spread evenly at `rate` operations per second (0 is
+// unlimited) instead of sleeping between batches. A run ends after `count`
+// operations, after `duration` seconds, or whichever comes first when both
+// are set. Latency is recorded per operation type and summarized with
+// percentiles and error counts at the end.
+
+// Percentiles in the summary
+const PERCENTILES = [50, 90, 99];
+
+/**
+ * Spread operation starts evenly at `rate` per second. `reserve()` returns the
+ * time (ms since epoch) at which the next operation may start.
+ */
+function createRateLimiter(rate) {
+  let next = Date.now();
+  
+  function reserve() {
+    if (!rate) {
+      return Date.now();
+    }
+    const start = Math.max(next, Date.now());
+    next = start + 1000 / rate;
+    return start;
+  }
+  
+  return { reserve };
+}
+
+/**
+ * Value at a percentile of a sorted list (nearest rank)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Collect latencies and errors per operation type
+ */
+function createLoadStats() {
+  const operations = new Map();
+  const errors = new Map();
+  
+  function get(operation) {
+    if (!operations.has(operation)) {
+      operations.set(operation, { latencies: [], errors: 0 });
+    }
+    return operations.get(operation);
+  }
+  
+  function recordSuccess(operation, ms) {
+    get(operation).latencies.push(ms);
+  }
+  
+  function recordError(operation, error) {
+    get(operation).errors++;
+    const reason = error.code || error.message;
+    errors.set(reason, (errors.get(reason) || 0) + 1);
+  }
+  
+  /**
+   * Summary by operation: count, errors and latency percentiles in ms
+   */
+  function summarize() {
+    const summary = {};
+    for (const [operation, { latencies, errors: failed }] of operations) {
+      const sorted = [...latencies].sort((a, b) => a - b);
+      const entry = { count: sorted.length, errors: failed };
+      for (const p of PERCENTILES) {
+        entry[`p${p}`] = percentile(sorted, p);
+      }
+      entry.max = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+      summary[operation] = entry;
+    }
+    return { operations: summary, errors: Object.fromEntries(errors) };
+  }
+  
+  return { recordSuccess, recordError, summarize };
+}
+
+/**
+ * Run operations on a pool until `count` or `duration` is reached.
+ * `nextOperation()` returns `{ operation, run(connection) }`; `run` throws on
+ * failure. Returns the summary with the totals of the run.
+ */
+async function runLoad({ pool, nextOperation, concurrency, rate = 0, count = null, duration = null, logger }) {
+  const limiter = createRateLimiter(rate);
+  const stats = createLoadStats();
+  const startedAt = Date.now();
+  const endAt = duration ? startedAt + duration * 1000 : Infinity;
+  let started = 0;
+  
+  const worker = async () => {
+    while (count === null || started < count) {
+      const startAt = limiter.reserve();
+      if (startAt >= endAt) {
+        return;
+      }
+      started++;
+      if (startAt > Date.now()) {
+        await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+      }
+      
+      // Latency covers the operation itself, not the wait for a free connection
+      const { operation, run } = nextOperation();
+      let connection = null;
+      try {
+        connection = await pool.getConnection();
+        const begin = process.hrtime.bigint();
+        await run(connection);
+        stats.recordSuccess(operation, Number(process.hrtime.bigint() - begin) / 1e6);
+      } catch (error) {
+        stats.recordError(operation, error);
+        logger.error(`Error performing ${operation}: ${error.message}`);
+      } finally {
+        if (connection) {
+          connection.release();
+        }
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  
+  const summary = stats.summarize();
+  summary.elapsed = (Date.now() - startedAt) / 1000;
+  summary.total = started;
+  summary.failed = Object.values(summary.operations).reduce((sum, entry) => sum + entry.errors, 0);
+  return summary;
+}
+
+/**
+ * Log the summary of a run
+ */
+function logLoadSummary(summary, logger) {
+  const format = ms => ms === null ? 'n/a' : `${ms.toFixed(1)}ms`;
+  const throughput = summary.elapsed > 0 ? summary.total / summary.elapsed : 0;
+  
+  logger.info(`Summary: ${summary.total} operations in ${summary.elapsed.toFixed(1)}s (${throughput.toFixed(1)} ops/s), ${summary.failed} errors`);
+  for (const [operation, entry] of Object.entries(summary.operations)) {
+    const latencies = PERCENTILES.map(p => `p${p} ${format(entry[`p${p}`])}`).join(' ');
+    logger.info(`  ${operation}: ${entry.count} ok, ${entry.errors} errors, latency ${latencies} max ${format(entry.max)}`);
+  }
+  for (const [reason, times] of Object.entries(summary.errors)) {
+    logger.info(`  error ${reason}: ${times}x`);
+  }
+}
+
+module.exports = {
+  createRateLimiter,
+  percentile,
+  createLoadStats,
+  runLoad,
+  logLoadSummary
+};
@@ -0,0 +1,184 @@
+// logger.js
+// Shared winston logger for every script.
+//
+// LOG_FORMAT selects `text` (default), the familiar `<timestamp> - <level>: <message>`
+// lines with structured fields appended as key=value, or `json`, one JSON object
+// per line for log pipelines. LOG_LEVEL sets the minimum level (default: info).
+// Structured fields are passed as the second argument, e.g.
+//   logger.info('Processed insert event', { database, table, xid, delivery_tag })
+// and can be attached to every line of a child logger with logger.child({...}).
+// Secrets registered with addSecrets (config.js registers every password that
+// is not a built-in default) are masked in messages, nested fields and error
+// messages before anything is written.
+const winston = require('winston');
+
+const LOG_LEVELS = Object.keys(winston.config.npm.levels);
+const LOG_FORMATS = ['text', 'json'];
+
+const REDACTED = '********';
+
+// Values that must never appear in log output
+const secrets = new Set();
+
+/**
+ * Register values to mask in all log output
+ */
+function addSecrets(values) {
+  for (const value of values) {
+    if (value) {
+      secrets.add(String(value));
+    }
+  }
+}
+
+/**
+ * Replace every registered secret in a string
+ */
+function maskSecrets(text) {
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+/**
+ * Mask secrets in a string, or in the strings of plain objects and arrays at
+ * any depth. Objects are copied, so the caller's fields are left untouched.
+ */
+function maskValue(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return maskSecrets(value);
+  }
+  if (value === null || typeof value !== 'object' || seen.has(value)) {
+    return value;
+  }
+  
+  const prototype = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+  
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map(item => maskValue(item, seen));
+  }
+  
+  const masked = {};
+  for (const [key, item] of Object.entries(value)) {
+    masked[key] = maskValue(item, seen);
+  }
+  return masked;
+}
+
+/**
+ * Winston format masking secrets in the message and in fields
+ */
+const redactSecrets = winston.format(info => {
+  if (secrets.size === 0) {
+    return info;
+  }
+  
+  for (const key of Object.keys(info)) {
+    info[key] = maskValue(info[key]);
+  }
+  return info;
+});
+
+/**
+ * Render structured fields as ` key=value` pairs, quoting values with spaces
+ */
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return ` ${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+    })
+    .join('');
+}
+
+/**
+ * Build the winston format for `text` or `json` output
+ */
+function buildFormat(format) {
+  if (format === 'json') {
+    return winston.format.combine(
+      winston.format.errors({ stack: true }),
+      redactSecrets(),
+      winston.format.timestamp(),
+      winston.format.json()
+    );
+  }
+  
+  return winston.format.combine(
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, service, stack, ...fields }) => {
+      return `${timestamp} - ${level}: ${message}${formatFields(fields)}${stack ? `\n${stack}` : ''}`;
+    })
+  );
+}
+
+/**
+ * Check a log level and format
+ */
+function validateOptions(level, format) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unsupported log level '${level}', expected one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unsupported log format '${format}', expected one of ${LOG_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Create the logger of a service. Level and format default to LOG_LEVEL and
+ * LOG_FORMAT.
+ */
+function createLogger({
+  service,
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || 'text'
+} = {}) {
+  validateOptions(level, format);
+  
+  return winston.createLogger({
+    level,
+    format: buildFormat(format),
+    defaultMeta: service ? { service } : undefined,
+    transports: [
+      new winston.transports.Console()
+    ]
+  });
+}
+
+/**
+ * Change the level and format of an existing logger, e.g. once the
+ * configuration of a script that is also used as a module has been loaded
+ */
+function configureLogger(logger, { level, format }) {
+  validateOptions(level, format);
+  logger.level = level;
+  logger.format = buildFormat(format);
+  return logger;
+}
+
+/**
+ * Send every level of a logger to stderr, leaving stdout free for command output
+ */
+function useStderr(logger) {
+  logger.clear().add(new winston.transports.Console({ stderrLevels: LOG_LEVELS }));
+  return logger;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  addSecrets,
+  maskSecrets,
+  createLogger,
+  configureLogger,
+  useStderr
+};
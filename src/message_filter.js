@@ -0,0 +1,109 @@
+// message_filter.js
+// Include/exclude rules deciding which Maxwell messages the consumer stores.
+//
+// Table rules match `database.table` and type rules match the Maxwell `type`.
+// Both are glob patterns (`*` and `?`); a leading `!` makes a rule exclude.
+// A message is kept when it matches at least one include rule (or there are
+// none) and no exclude rule, e.g. `sample_db.*,!*.audit_*`.
+const fs = require('fs');
+
+/**
+ * Convert a glob pattern into an anchored regular expression
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Split rules into include and exclude regular expressions.
+ * Accepts a comma-separated string or an array of patterns.
+ */
+function parseRules(rules) {
+  const patterns = Array.isArray(rules)
+    ? rules
+    : (rules || '').split(',');
+  
+  const include = [];
+  const exclude = [];
+  
+  for (const rawPattern of patterns) {
+    const pattern = String(rawPattern).trim();
+    if (!pattern) {
+      continue;
+    }
+    
+    if (pattern.startsWith('!')) {
+      exclude.push(globToRegExp(pattern.slice(1)));
+    } else {
+      include.push(globToRegExp(pattern));
+    }
+  }
+  
+  return { include, exclude };
+}
+
+/**
+ * Check a value against parsed include/exclude rules
+ */
+function matchesRules(value, { include, exclude }) {
+  if (exclude.some(regexp => regexp.test(value))) {
+    return false;
+  }
+  return include.length === 0 || include.some(regexp => regexp.test(value));
+}
+
+/**
+ * Combine table and type rules from a JSON config file with the ones given
+ * directly (e.g. from FILTER_TABLES and FILTER_TYPES), which are appended.
+ * The file looks like: { "tables": ["sample_db.*"], "types": ["!bootstrap-*"] }
+ */
+function loadFilterRules({ configFile = null, tables = [], types = [] } = {}) {
+  let allTables = [];
+  let allTypes = [];
+  
+  if (configFile) {
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    allTables = allTables.concat(config.tables || []);
+    allTypes = allTypes.concat(config.types || []);
+  }
+  
+  allTables = allTables.concat(tables);
+  allTypes = allTypes.concat(types);
+  
+  const clean = rules => rules.map(rule => String(rule).trim()).filter(Boolean);
+  return { tables: clean(allTables), types: clean(allTypes) };
+}
+
+/**
+ * Create a predicate that returns true for messages that should be stored
+ */
+function createMessageFilter({ tables, types }) {
+  const tableRules = parseRules(tables);
+  const typeRules = parseRules(types);
+  
+  return function accepts(content) {
+    const name = `${content.database || ''}.${content.table || ''}`;
+    return matchesRules(name, tableRules) && matchesRules(content.type || '', typeRules);
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  parseRules,
+  matchesRules,
+  loadFilterRules,
+  createMessageFilter
+};
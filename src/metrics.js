@@ -0,0 +1,158 @@
+// metrics.js
+// Prometheus metrics and health endpoints for the consumer.
+//
+// A small HTTP server exposes:
+//   /metrics  metrics in the Prometheus text format
+//   /healthz  liveness: 200 while the process is running and not shutting down
+//   /readyz   readiness: 200 only while RabbitMQ and MongoDB are both connected
+// Both health endpoints answer with a JSON body describing each dependency.
+const http = require('http');
+const client = require('prom-client');
+
+// Buckets for MongoDB write latency, in seconds
+const WRITE_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Buckets for replication lag, in seconds
+const LAG_BUCKETS = [0.1, 0.5, 1, 2, 5, 10, 30, 60, 300, 900];
+
+const MESSAGE_LABELS = ['database', 'table', 'type'];
+
+/**
+ * Create the consumer's metrics in their own registry
+ */
+function createMetrics({ prefix = 'maxwell_consumer_', collectDefault = true } = {}) {
+  const registry = new client.Registry();
+  
+  if (collectDefault) {
+    client.collectDefaultMetrics({ register: registry, prefix });
+  }
+  
+  const counter = (name, help, labelNames) => new client.Counter({
+    name: `${prefix}${name}`, help, labelNames, registers: [registry]
+  });
+  
+  return {
+    registry,
+    consumed: counter('messages_consumed_total', 'Messages received from RabbitMQ', MESSAGE_LABELS),
+    acked: counter('messages_acked_total', 'Messages acknowledged after processing', MESSAGE_LABELS),
+    nacked: counter('messages_nacked_total', 'Messages that failed and were retried, dead-lettered or requeued', [...MESSAGE_LABELS, 'action']),
+    duplicates: counter('messages_duplicate_total', 'Redelivered messages already stored', MESSAGE_LABELS),
+    filtered: counter('messages_filtered_total', 'Messages skipped by the filter rules', MESSAGE_LABELS),
+    stale: counter('messages_stale_total', 'Row events older than the materialized row', MESSAGE_LABELS),
+    writeDuration: new client.Histogram({
+      name: `${prefix}mongodb_write_duration_seconds`,
+      help: 'Duration of MongoDB writes',
+      labelNames: ['operation'],
+      buckets: WRITE_DURATION_BUCKETS,
+      registers: [registry]
+    }),
+    lag: new client.Histogram({
+      name: `${prefix}replication_lag_seconds`,
+      help: 'Time between the MySQL commit and the message being received (received_at - ts)',
+      labelNames: ['database', 'table'],
+      buckets: LAG_BUCKETS,
+      registers: [registry]
+    }),
+    lastLag: new client.Gauge({
+      name: `${prefix}replication_lag_last_seconds`,
+      help: 'Replication lag of the most recent message per table',
+      labelNames: ['database', 'table'],
+      registers: [registry]
+    })
+  };
+}
+
+/**
+ * Metric labels of a Maxwell message; unparseable messages count as `unknown`
+ */
+function getMessageLabels(content) {
+  return {
+    database: (content && content.database) || 'unknown',
+    table: (content && content.table) || 'unknown',
+    type: (content && content.type) || 'unknown'
+  };
+}
+
+/**
+ * Replication lag of a message in seconds: received_at minus the commit `ts`.
+ * A `ts` in milliseconds is detected and converted. Returns null when the
+ * message has no numeric `ts`.
+ */
+function getReplicationLag(content) {
+  if (typeof content.ts !== 'number' || typeof content.received_at !== 'number') {
+    return null;
+  }
+  
+  const ts = content.ts > 1e12 ? content.ts / 1000 : content.ts;
+  return Math.max(0, content.received_at - ts);
+}
+
+/**
+ * Time an async MongoDB write under the given operation label
+ */
+async function timeWrite(metrics, operation, write) {
+  const end = metrics.writeDuration.startTimer({ operation });
+  try {
+    return await write();
+  } finally {
+    end();
+  }
+}
+
+/**
+ * Start the metrics and health server.
+ * `getHealth()` resolves to `{ live, checks: { name: { ok, ... } } }`; the
+ * service is ready when every check is ok.
+ */
+function startMetricsServer({ port, host = '0.0.0.0', metrics, getHealth, logger }) {
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  
+  const server = http.createServer(async (req, res) => {
+    const path = req.url.split('?')[0];
+    
+    try {
+      if (path === '/metrics') {
+        // Collect first, so a failure can still be answered with a 500
+        const body = await metrics.registry.metrics();
+        res.writeHead(200, { 'Content-Type': metrics.registry.contentType });
+        res.end(body);
+        return;
+      }
+      
+      if (path === '/healthz' || path === '/readyz') {
+        const health = await getHealth();
+        const ready = health.live && Object.values(health.checks).every(check => check.ok);
+        const ok = path === '/healthz' ? health.live : ready;
+        sendJson(res, ok ? 200 : 503, { status: ok ? 'ok' : 'unavailable', ...health });
+        return;
+      }
+      
+      sendJson(res, 404, { error: 'not found' });
+    } catch (error) {
+      logger.error(`Error serving ${path}: ${error.message}`);
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+  
+  // A port in use or not allowed (EADDRINUSE, EACCES) costs the metrics, not the service
+  server.on('error', error => {
+    logger.error(`Cannot serve metrics and health checks on port ${port}: ${error.message}`);
+  });
+  
+  server.listen(port, host, () => {
+    logger.info(`Serving metrics and health checks on port ${server.address().port}`);
+  });
+  
+  return server;
+}
+
+module.exports = {
+  createMetrics,
+  getMessageLabels,
+  getReplicationLag,
+  timeWrite,
+  startMetricsServer
+};
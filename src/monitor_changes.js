@@ -1,25 +1,41 @@
 #!/usr/bin/env node
-const { MongoClient } = require('mongodb');
-const winston = require('winston');
+const { MongoClient, ObjectId } = require('mongodb');
+const { createLogger, useStderr } = require('./logger');
+const { initConfig, addConfigArguments, redactUri } = require('./config');
+const { buildMongoClientOptions } = require('./connection_options');
+const argparse = require('argparse');
+const { isSchemaChange } = require('./schema_history');
+const { createLagTracker } = require('./lag_alerts');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['mongodb', 'monitor', 'logging']);
 
 // Configure logging
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} - ${level}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const logger = createLogger({ service: 'monitor', ...config.logging });
 
 // MongoDB connection configuration
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://mongodb:27017/';
-const MONGODB_DB = process.env.MONGODB_DB || 'binlog_replica';
-const MONGODB_COLLECTION = process.env.MONGODB_COLLECTION || 'changes';
+const MONGODB_URI = config.mongodb.uri;
+const MONGODB_DB = config.mongodb.db;
+const MONGODB_COLLECTION = config.mongodb.collection;
+
+// Where the monitor remembers its place between restarts
+const MONITOR_NAME = config.monitor.name;
+const MONITOR_CHECKPOINT_COLLECTION = config.monitor.checkpointCollection;
+
+// Polling fallback: documents younger than the settle window are left for the
+// next poll, so an insert that commits after a newer _id was seen is not skipped
+const POLL_SETTLE_SECONDS = config.monitor.pollSettleSeconds;
+
+// How often tables are checked for staleness while following
+const ALERT_CHECK_INTERVAL_SECONDS = config.monitor.alertCheckIntervalSeconds;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_ALERT = 2;
+
+// Resume token no longer in the oplog
+const CHANGE_STREAM_HISTORY_LOST = 286;
 
 /**
  * Connect to MongoDB with retry logic
@@ -27,13 +43,13 @@ const MONGODB_COLLECTION = process.env.MONGODB_COLLECTION || 'changes';
 async function connectToMongoDB() {
   while (true) {
     try {
-      const client = new MongoClient(MONGODB_URI);
+      const client = new MongoClient(MONGODB_URI, buildMongoClientOptions(config.mongodb));
       await client.connect();
       
       const db = client.db(MONGODB_DB);
       const collection = db.collection(MONGODB_COLLECTION);
       
-      logger.info(`Successfully connected to MongoDB at ${MONGODB_URI}`);
+      logger.info(`Successfully connected to MongoDB at ${redactUri(MONGODB_URI)}`);
       return { client, db, collection };
     } catch (error) {
       logger.warn(`Failed to connect to MongoDB: ${error.message}. Retrying in 5 seconds...`);
@@ -43,95 +59,508 @@ async function connectToMongoDB() {
 }
 
 /**
- * Convert Unix timestamp to human-readable format
+ * Convert a Unix timestamp in seconds (Maxwell's `ts`) to human-readable format
  */
 function formatTimestamp(ts) {
-  return new Date(ts).toISOString().replace('T', ' ').substring(0, 19);
+  return new Date(ts * 1000).toISOString().replace('T', ' ').substring(0, 19);
 }
 
 /**
- * Monitor changes in MongoDB collection
+ * Print a single change document as human-readable text
  */
-async function monitorChanges(interval = 5) {
-  const { client, collection } = await connectToMongoDB();
+function displayChange(change) {
+  // Extract and format information
+  const database = change.database || 'unknown';
+  const table = change.table || 'unknown';
+  const operation = change.type || 'unknown';
+  const timestamp = formatTimestamp(change.ts || 0);
+  const fields = { database, table, type: operation, xid: change.xid, position: change.position, event_id: change.event_id };
+  
+  // Format the output based on the operation type
+  if (operation === 'insert') {
+    const data = change.data || {};
+    logger.info(`INSERT into ${database}.${table} at ${timestamp}: ${JSON.stringify(data)}`, fields);
+  } else if (operation === 'update') {
+    const data = change.data || {};
+    const old = change.old || {};
+    logger.info(`UPDATE in ${database}.${table} at ${timestamp}:`, fields);
+    logger.info(`  New data: ${JSON.stringify(data)}`);
+    logger.info(`  Old data: ${JSON.stringify(old)}`);
+  } else if (operation === 'delete') {
+    const data = change.data || {};
+    logger.info(`DELETE from ${database}.${table} at ${timestamp}: ${JSON.stringify(data)}`, fields);
+  } else if (isSchemaChange(operation)) {
+    logger.info(`${operation.toUpperCase()} on ${database}.${change.table || '*'} at ${timestamp}: ${change.sql}`, fields);
+  } else {
+    logger.info(`Unknown operation ${operation} on ${database}.${table} at ${timestamp}: ${JSON.stringify(change)}`, fields);
+  }
+}
+
+/**
+ * Print a single change document as one line of JSON
+ */
+function displayChangeAsJson(change) {
+  process.stdout.write(`${JSON.stringify(change)}\n`);
+}
+
+/**
+ * Print only the columns a change touched. Maxwell's `old` holds the previous
+ * value of every column an update changed; inserts and deletes show all columns.
+ */
+function displayChangeAsDiff(change) {
+  const database = change.database || 'unknown';
+  const table = change.table || 'unknown';
+  const operation = change.type || 'unknown';
+  const timestamp = formatTimestamp(change.ts || 0);
+  const data = change.data || {};
+  const lines = [`${operation.toUpperCase()} ${database}.${table} at ${timestamp}`];
+  
+  if (operation === 'update') {
+    for (const column of Object.keys(change.old || {})) {
+      lines.push(`  ~ ${column}: ${JSON.stringify(change.old[column])} -> ${JSON.stringify(data[column])}`);
+    }
+  } else if (operation === 'insert') {
+    for (const column of Object.keys(data)) {
+      lines.push(`  + ${column}: ${JSON.stringify(data[column])}`);
+    }
+  } else if (operation === 'delete') {
+    for (const column of Object.keys(data)) {
+      lines.push(`  - ${column}: ${JSON.stringify(data[column])}`);
+    }
+  } else if (isSchemaChange(operation)) {
+    lines.push(`  ${change.sql}`);
+  }
+  
+  process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+// Output formats selectable with --format
+const FORMATTERS = {
+  text: displayChange,
+  ndjson: displayChangeAsJson,
+  diff: displayChangeAsDiff
+};
+
+/**
+ * Parse a comma-separated option into a MongoDB equality or $in condition
+ */
+function buildCondition(value) {
+  const values = value.split(',').map(item => item.trim()).filter(Boolean);
+  return values.length === 1 ? values[0] : { $in: values };
+}
+
+/**
+ * Build the MongoDB filter for the --database/--table/--type options
+ */
+function buildFilter(args) {
+  const filter = {};
+  
+  if (args.database) {
+    filter.database = buildCondition(args.database);
+  }
+  if (args.table) {
+    filter.table = buildCondition(args.table);
+  }
+  if (args.type) {
+    filter.type = buildCondition(args.type);
+  }
+  
+  return filter;
+}
+
+/**
+ * Parse --since: an ISO timestamp, a Unix timestamp in seconds, or a duration
+ * back from now such as `30s`, `15m`, `2h` or `1d`. Returns Unix seconds.
+ */
+function parseSince(value) {
+  const duration = /^(\d+)\s*([smhd])$/.exec(value);
+  if (duration) {
+    const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
+    return Date.now() / 1000 - parseInt(duration[1]) * multipliers[duration[2]];
+  }
+  
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return parseFloat(value);
+  }
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value '${value}', expected a timestamp or a duration like 15m`);
+  }
+  return date.getTime() / 1000;
+}
+
+/**
+ * Load the monitor's last position: a change stream resume token and/or the
+ * _id of the last change document shown
+ */
+async function loadCheckpoint(db, name) {
+  const checkpoint = await db.collection(MONITOR_CHECKPOINT_COLLECTION).findOne({ _id: name });
+  return checkpoint || {};
+}
+
+/**
+ * Persist the monitor's position after a change has been shown
+ */
+async function saveCheckpoint(db, name, checkpoint) {
+  await db.collection(MONITOR_CHECKPOINT_COLLECTION).updateOne(
+    { _id: name },
+    { $set: { ...checkpoint, updated_at: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Start staleness tracking of the expected tables from their latest stored change
+ */
+async function seedLagTracker(collection, tracker, tables) {
+  for (const name of tables) {
+    const [database, table] = name.split('.');
+    const latest = await collection.findOne(
+      { database, table },
+      { sort: { _id: -1 }, projection: { received_at: 1 } }
+    );
+    if (latest && typeof latest.received_at === 'number') {
+      tracker.seed(name, latest.received_at);
+    }
+  }
+}
+
+/**
+ * Log the lag and staleness of every table the tracker knows
+ */
+function logLagSummary(tracker, level = 'info') {
+  const format = value => value === null ? 'n/a' : `${value.toFixed(1)}s`;
+  for (const [table, stats] of Object.entries(tracker.summarize())) {
+    logger.log(level, `${table}: ${stats.count} changes, lag last ${format(stats.lastLag)} max ${format(stats.maxLag)}, last change ${format(stats.sinceLastChange)} ago`, { table });
+  }
+}
+
+/**
+ * Change streams need a replica set or sharded cluster
+ */
+async function supportsChangeStreams(db) {
+  const hello = await db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+/**
+ * Show every matching change after `lastId` in _id order, and return the new
+ * last _id. Changes are checkpointed one by one so a restart continues where it
+ * stopped. With `settle`, the most recent changes are left for the next poll.
+ */
+async function pollChanges(db, collection, lastId, options, settle = true) {
+  const idRange = { $gt: lastId };
+  if (settle) {
+    idRange.$lt = ObjectId.createFromTime(Math.floor(Date.now() / 1000) - POLL_SETTLE_SECONDS);
+  }
   
-  // Keep track of the last time we checked
-  let lastCheckTime = Date.now() / 1000; // Unix timestamp in seconds
+  const cursor = collection.find({ ...options.filter, _id: idRange }).sort({ _id: 1 });
+  
+  let count = 0;
+  for await (const change of cursor) {
+    options.show(change);
+    lastId = change._id;
+    if (options.checkpointName) {
+      await saveCheckpoint(db, options.checkpointName, { lastId });
+    }
+    count++;
+  }
+  
+  if (count > 0) {
+    logger.info(`Found ${count} new changes`);
+  } else {
+    logger.info('No new changes found');
+  }
+  
+  return lastId;
+}
+
+/**
+ * Monitor changes by polling in _id order (standalone MongoDB)
+ */
+async function pollForChanges(db, collection, checkpoint, options) {
+  // Without a starting point only changes from now on are shown
+  let lastId = checkpoint.lastId || ObjectId.createFromTime(Math.floor(Date.now() / 1000) - POLL_SETTLE_SECONDS);
+  
+  logger.info(`Polling for changes every ${options.interval} seconds`);
+  
+  while (true) {
+    lastId = await pollChanges(db, collection, lastId, options);
+    
+    // Sleep for the specified interval
+    await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+  }
+}
+
+/**
+ * Monitor changes with a change stream, persisting its resume token
+ */
+async function watchForChanges(db, collection, checkpoint, options) {
+  const match = { operationType: 'insert' };
+  for (const [field, condition] of Object.entries(options.filter)) {
+    match[`fullDocument.${field}`] = condition;
+  }
+  
+  const streamOptions = {};
+  let lastId = checkpoint.lastId || null;
+  let skipUpTo = null;
+  
+  if (checkpoint.resumeToken) {
+    streamOptions.resumeAfter = checkpoint.resumeToken;
+    logger.info('Resuming change stream from the saved resume token');
+  } else if (lastId) {
+    // Switching from polling or backfilling: catch up by _id first, then stream
+    // from when the catch-up started and skip whatever the catch-up already showed.
+    // The catch-up reads up to now, as the stream only covers later inserts.
+    const { operationTime } = await db.command({ ping: 1 });
+    lastId = await pollChanges(db, collection, lastId, options, false);
+    skipUpTo = lastId;
+    streamOptions.startAtOperationTime = operationTime;
+    logger.info('Caught up by _id, starting change stream');
+  } else {
+    logger.info('Starting change stream from now');
+  }
+  
+  const changeStream = collection.watch([{ $match: match }], streamOptions);
   
   try {
-    while (true) {
-      // Query for new changes since last check
-      const currentTime = Date.now() / 1000;
-      const newChanges = await collection.find({
-        received_at: { $gt: lastCheckTime }
-      }).sort({ received_at: 1 }).toArray();
+    for await (const event of changeStream) {
+      const change = event.fullDocument;
+      const isObjectId = change._id instanceof ObjectId;
       
-      let count = 0;
-      for (const change of newChanges) {
-        count++;
-        
-        // Extract and format information
-        const database = change.database || 'unknown';
-        const table = change.table || 'unknown';
-        const operation = change.type || 'unknown';
-        const timestamp = formatTimestamp((change.ts || 0) / 1000); // Maxwell provides timestamp in milliseconds
-        
-        // Format the output based on the operation type
-        if (operation === 'insert') {
-          const data = change.data || {};
-          logger.info(`INSERT into ${database}.${table} at ${timestamp}: ${JSON.stringify(data)}`);
-        } else if (operation === 'update') {
-          const data = change.data || {};
-          const old = change.old || {};
-          logger.info(`UPDATE in ${database}.${table} at ${timestamp}:`);
-          logger.info(`  New data: ${JSON.stringify(data)}`);
-          logger.info(`  Old data: ${JSON.stringify(old)}`);
-        } else if (operation === 'delete') {
-          const data = change.data || {};
-          logger.info(`DELETE from ${database}.${table} at ${timestamp}: ${JSON.stringify(data)}`);
-        } else {
-          logger.info(`Unknown operation ${operation} on ${database}.${table} at ${timestamp}: ${JSON.stringify(change)}`);
-        }
+      if (!(skipUpTo && isObjectId && change._id.toHexString() <= skipUpTo.toHexString())) {
+        options.show(change);
       }
       
-      // Update the last check time
-      if (count > 0) {
-        logger.info(`Found ${count} new changes`);
-      } else {
-        logger.info('No new changes found');
+      if (isObjectId) {
+        lastId = change._id;
       }
-      
-      lastCheckTime = currentTime;
-      
-      // Sleep for the specified interval
-      await new Promise(resolve => setTimeout(resolve, interval * 1000));
+      if (options.checkpointName) {
+        await saveCheckpoint(db, options.checkpointName, { resumeToken: event._id, lastId });
+      }
+    }
+  } finally {
+    await changeStream.close();
+  }
+}
+
+/**
+ * Monitor changes in MongoDB collection.
+ * In follow mode this runs until stopped; otherwise it shows the matching
+ * changes since `options.since` once and returns the alerts left firing.
+ */
+async function monitorChanges(options) {
+  const { client, db, collection } = await connectToMongoDB();
+  const { tracker } = options;
+  
+  try {
+    await seedLagTracker(collection, tracker, options.alertTables);
+    
+    // --since backfills from a point in time instead of the saved position
+    let checkpoint = {};
+    if (options.since !== null) {
+      checkpoint = { lastId: ObjectId.createFromTime(Math.floor(options.since)) };
+    } else if (options.checkpointName) {
+      checkpoint = await loadCheckpoint(db, options.checkpointName);
+    }
+    
+    if (!options.follow) {
+      await pollChanges(db, collection, checkpoint.lastId, options, false);
+      const alerts = tracker.check();
+      logLagSummary(tracker);
+      await tracker.flush();
+      return alerts;
+    }
+    
+    // Staleness has to be checked even when no changes arrive
+    setInterval(() => {
+      tracker.check();
+      logLagSummary(tracker, 'debug');
+    }, ALERT_CHECK_INTERVAL_SECONDS * 1000).unref();
+    
+    if (await supportsChangeStreams(db)) {
+      try {
+        await watchForChanges(db, collection, checkpoint, options);
+      } catch (error) {
+        if (error.code !== CHANGE_STREAM_HISTORY_LOST || !options.checkpointName) {
+          throw error;
+        }
+        
+        // The resume token fell off the oplog; catch up by _id instead
+        logger.warn('Saved resume token is no longer in the oplog, catching up by _id');
+        const { lastId } = await loadCheckpoint(db, options.checkpointName);
+        await watchForChanges(db, collection, { lastId }, options);
+      }
+    } else {
+      logger.info('MongoDB is not a replica set, falling back to polling');
+      await pollForChanges(db, collection, checkpoint, options);
     }
-  } catch (error) {
-    logger.error(`Error monitoring changes: ${error.message}`);
   } finally {
     await client.close();
     logger.info('MongoDB connection closed');
   }
+  
+  return [];
 }
 
 /**
  * Main function
  */
 async function main() {
-  try {
-    logger.info('Starting MongoDB change monitor...');
-    await monitorChanges();
-  } catch (error) {
-    logger.error(`Failed to start monitor: ${error.message}`);
-    process.exit(1);
+  // Set up command line arguments
+  const parser = new argparse.ArgumentParser({
+    description: 'Show changes as they arrive in MongoDB'
+  });
+  
+  parser.add_argument('--database', {
+    dest: 'database',
+    help: 'Only changes for this database (comma-separated for several)'
+  });
+  
+  parser.add_argument('--table', {
+    dest: 'table',
+    help: 'Only changes for this table (comma-separated for several)'
+  });
+  
+  parser.add_argument('--type', {
+    dest: 'type',
+    help: 'Only changes of this type, e.g. insert,update (comma-separated for several)'
+  });
+  
+  parser.add_argument('--since', {
+    dest: 'since',
+    help: 'Backfill changes received since a timestamp (ISO or Unix seconds) or a duration like 15m, 2h, 1d'
+  });
+  
+  parser.add_argument('--follow', {
+    dest: 'follow',
+    action: argparse.BooleanOptionalAction,
+    default: true,
+    help: 'Keep watching for new changes; --no-follow shows the changes since --since once and exits'
+  });
+  
+  parser.add_argument('--format', {
+    dest: 'format',
+    choices: Object.keys(FORMATTERS),
+    default: 'text',
+    help: 'Output format: human text, NDJSON or a column-level diff'
+  });
+  
+  parser.add_argument('--interval', {
+    dest: 'interval',
+    type: 'float',
+    default: 5,
+    help: 'Polling interval in seconds when change streams are unavailable'
+  });
+  
+  parser.add_argument('--name', {
+    dest: 'name',
+    default: MONITOR_NAME,
+    help: 'Checkpoint name; monitors with different names keep separate positions'
+  });
+  
+  parser.add_argument('--no-checkpoint', {
+    dest: 'no_checkpoint',
+    action: 'store_true',
+    help: 'Neither resume from nor save a checkpoint'
+  });
+  
+  parser.add_argument('--lag-threshold', {
+    dest: 'lag_threshold',
+    type: 'float',
+    default: config.monitor.lagThresholdSeconds,
+    help: 'Alert when a change took longer than this many seconds from MySQL commit to MongoDB (0 disables)'
+  });
+  
+  parser.add_argument('--stale-threshold', {
+    dest: 'stale_threshold',
+    type: 'float',
+    default: config.monitor.staleThresholdSeconds,
+    help: 'Alert when a table has had no change for this many seconds (0 disables)'
+  });
+  
+  parser.add_argument('--alert-tables', {
+    dest: 'alert_tables',
+    default: config.monitor.alertTables.join(','),
+    help: 'Comma-separated database.table names checked for staleness even before they have a change'
+  });
+  
+  parser.add_argument('--alert-webhook', {
+    dest: 'alert_webhook',
+    default: config.monitor.alertWebhookUrl,
+    help: 'URL that alerts are POSTed to as JSON'
+  });
+  
+  addConfigArguments(parser);
+  
+  const args = parser.parse_args();
+  
+  // Keep stdout for the changes themselves when printing machine-readable output
+  if (args.format !== 'text') {
+    useStderr(logger);
+  }
+  
+  const since = args.since ? parseSince(args.since) : null;
+  
+  if (!args.follow && since === null) {
+    throw new Error('--no-follow needs --since to know which changes to show');
+  }
+  
+  // Backfills and one-shot runs are ad hoc and leave the checkpoint alone
+  const useCheckpoint = args.follow && since === null && !args.no_checkpoint;
+  
+  const alertTables = args.alert_tables.split(',').map(item => item.trim()).filter(Boolean);
+  const tracker = createLagTracker({
+    lagThreshold: args.lag_threshold,
+    staleThreshold: args.stale_threshold,
+    webhookUrl: args.alert_webhook,
+    expectedTables: alertTables,
+    logger
+  });
+  
+  // Every change shown also feeds the lag tracker
+  const format = FORMATTERS[args.format];
+  const show = change => {
+    tracker.observe(change);
+    format(change);
+  };
+  
+  logger.info('Starting MongoDB change monitor...');
+  const alerts = await monitorChanges({
+    filter: buildFilter(args),
+    show,
+    since,
+    follow: args.follow,
+    interval: args.interval,
+    checkpointName: useCheckpoint ? args.name : null,
+    tracker,
+    alertTables
+  });
+  
+  // One-shot runs report firing alerts in the exit code, e.g. for cron jobs
+  if (alerts.length > 0) {
+    logger.error(`${alerts.length} alerts firing: ${alerts.join(', ')}`);
+    process.exit(EXIT_ALERT);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Monitoring stopped by user');
-  process.exit(0);
-});
+module.exports = {
+  formatTimestamp,
+  pollChanges,
+  watchForChanges
+};
 
-// Start the application
-main();
+// Start the application when run from the command line
+if (require.main === module) {
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    logger.info('Monitoring stopped by user');
+    process.exit(EXIT_OK);
+  });
+  
+  main().catch(error => {
+    logger.error(`Failed to run monitor: ${error.message}`);
+    process.exit(EXIT_ERROR);
+  });
+}
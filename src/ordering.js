@@ -0,0 +1,125 @@
+// ordering.js
+// Ordering helpers for applying row events to materialized collections.
+//
+// Events are versioned by Maxwell's (ts, binlog position, xid, xoffset). ts only
+// has second resolution and xids of transactions committed in the same second
+// need not follow commit order, so the binlog position (output_binlog_position)
+// breaks ties; xid only decides when there is no position. The version is
+// stored on every materialized row as `_version` and writes are guarded so an
+// older event never overwrites a newer one.
+// Deleted rows stay behind as versioned tombstones, so an older write that
+// arrives after the delete (e.g. a retried update) cannot bring the row back.
+// The partitioned executor runs events for the same row one after another
+// while events for different rows run concurrently.
+const crypto = require('crypto');
+
+// Digits the binlog offset is padded to, so positions compare as strings
+const OFFSET_DIGITS = 20;
+
+/**
+ * Encode a Maxwell binlog position (`mysql-bin.000003:4567`) as a string that
+ * sorts in binlog order. Binlog file names carry a zero-padded sequence
+ * number; the offset is padded here. Returns '' without a position.
+ */
+function encodeBinlogPosition(position) {
+  if (typeof position !== 'string') {
+    return '';
+  }
+  
+  const separator = position.lastIndexOf(':');
+  if (separator < 0) {
+    return position;
+  }
+  return `${position.substring(0, separator)}:${position.substring(separator + 1).padStart(OFFSET_DIGITS, '0')}`;
+}
+
+/**
+ * Build the version of an event from its binlog coordinates
+ */
+function buildVersion(content) {
+  return {
+    ts: content.ts || 0,
+    position: encodeBinlogPosition(content.position),
+    xid: content.xid || 0,
+    xoffset: content.xoffset || 0
+  };
+}
+
+/**
+ * Materialized document standing in for a deleted row. `_deleted_at` drives
+ * the TTL index that eventually removes it.
+ */
+function buildTombstone(primaryKey, version, deletedAt = new Date()) {
+  return { _id: primaryKey, _version: version, _deleted: true, _deleted_at: deletedAt, _source: 'binlog' };
+}
+
+/**
+ * Build a MongoDB filter that matches rows whose stored version is older than
+ * `version`, or that have no version yet
+ */
+function buildVersionGuard(version) {
+  return {
+    $or: [
+      { _version: { $exists: false } },
+      { '_version.ts': { $lt: version.ts } },
+      { '_version.ts': version.ts, '_version.position': { $lt: version.position } },
+      { '_version.ts': version.ts, '_version.position': version.position, '_version.xid': { $lt: version.xid } },
+      {
+        '_version.ts': version.ts,
+        '_version.position': version.position,
+        '_version.xid': version.xid,
+        '_version.xoffset': { $lt: version.xoffset }
+      }
+    ]
+  };
+}
+
+/**
+ * Map a partition key to one of `count` partitions
+ */
+function hashPartition(key, count) {
+  const digest = crypto.createHash('md5').update(key).digest();
+  return digest.readUInt32BE(0) % count;
+}
+
+/**
+ * Create an executor with `count` partitions. Tasks submitted with the same
+ * key run serially in submission order; tasks on other partitions run
+ * concurrently. `run` returns a promise for the task's result.
+ * `runExclusive` waits for every partition and blocks them all while it runs.
+ */
+function createPartitionedExecutor(count) {
+  const tails = new Array(count).fill(null).map(() => Promise.resolve());
+  
+  function run(key, task) {
+    const partition = hashPartition(key, count);
+    const result = tails[partition].then(() => task());
+    
+    // A failed task must not block the rest of its partition
+    tails[partition] = result.catch(() => {});
+    
+    return result;
+  }
+  
+  function runExclusive(task) {
+    const result = Promise.all(tails).then(() => task());
+    const done = result.catch(() => {});
+    
+    for (let partition = 0; partition < count; partition++) {
+      tails[partition] = done;
+    }
+    
+    return result;
+  }
+  
+  return { run, runExclusive };
+}
+
+module.exports = {
+  encodeBinlogPosition,
+  buildVersion,
+  buildVersionGuard,
+  buildTombstone,
+  hashPartition,
+  createPartitionedExecutor
+};
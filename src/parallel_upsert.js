@@ -1,45 +1,38 @@
 #!/usr/bin/env node
 const mysql = require('mysql2/promise');
-const winston = require('winston');
-const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { initConfig, addConfigArguments } = require('./config');
+const { buildMysqlOptions } = require('./connection_options');
+const { DEFAULT_PROFILE, validateProfile, loadWorkloadProfile, createWorkload } = require('./workload');
+const { runLoad, logLoadSummary } = require('./load_runner');
+const argparse = require('argparse');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['mysql', 'workload', 'logging']);
 
 // Configure logging
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} - ${level}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const logger = createLogger({ service: 'parallel-upsert', ...config.logging });
 
-// MySQL connection configuration
-const MYSQL_HOST = process.env.MYSQL_HOST || 'mysql';
-const MYSQL_PORT = parseInt(process.env.MYSQL_PORT || '3306');
-const MYSQL_USER = process.env.MYSQL_USER || 'root';
-const MYSQL_PASSWORD = process.env.MYSQL_PASSWORD || 'rootpassword';
-const MYSQL_DATABASE = process.env.MYSQL_DATABASE || 'sample_db';
+// MySQL configuration; connection and SSL settings stay in `config`
+const MYSQL_DATABASE = config.mysql.database;
+
+// Without a profile: the built-in workload, upserts only
+const UPSERT_PROFILE = { ...DEFAULT_PROFILE, operations: { upsert: 1 } };
 
 /**
- * Establish connection to MySQL with retry logic
+ * Create a pool of `connectionLimit` MySQL connections, waiting until MySQL
+ * accepts connections
  */
-async function connectToMySQL() {
+async function connectToMySQL(connectionLimit) {
+  const pool = mysql.createPool({ ...buildMysqlOptions(config.mysql), connectionLimit });
+  
   while (true) {
     try {
-      const connection = await mysql.createConnection({
-        host: MYSQL_HOST,
-        port: MYSQL_PORT,
-        user: MYSQL_USER,
-        password: MYSQL_PASSWORD,
-        database: MYSQL_DATABASE
-      });
+      const connection = await pool.getConnection();
+      connection.release();
       
-      logger.info('Successfully connected to MySQL');
-      return connection;
+      logger.info(`Successfully connected to MySQL with a pool of ${connectionLimit} connections`);
+      return pool;
     } catch (error) {
       logger.warn(`Failed to connect to MySQL: ${error.message}. Retrying in 5 seconds...`);
       await new Promise(resolve => setTimeout(resolve, 5000));
@@ -48,136 +41,32 @@ async function connectToMySQL() {
 }
 
 /**
- * Generate a random name for testing
+ * Run the built-in upserts (or the transactions of a workload profile) on a
+ * pool of `concurrency` connections. Logs and returns the latency summary.
  */
-function generateRandomName() {
-  const firstNames = ['James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda', 'William', 'Elizabeth'];
-  const lastNames = ['Smith', 'Johnson', 'Williams', 'Jones', 'Brown', 'Davis', 'Miller', 'Wilson', 'Moore', 'Taylor'];
-  
-  return `${firstNames[Math.floor(Math.random() * firstNames.length)]} ${lastNames[Math.floor(Math.random() * lastNames.length)]}`;
-}
-
-/**
- * Generate a random email address for testing
- */
-function generateRandomEmail(name = null) {
-  if (name === null) {
-    name = generateRandomName();
-  }
-  
-  // Convert name to lowercase and replace spaces with dots
-  const emailName = name.toLowerCase().replace(/\s+/g, '.');
-  
-  // Add some randomness to ensure uniqueness
-  const randomString = crypto.randomBytes(5).toString('hex');
-  
-  const domains = ['example.com', 'test.com', 'sample.org', 'mail.net'];
-  const domain = domains[Math.floor(Math.random() * domains.length)];
+async function runParallelUpserts({ count, duration, rate, concurrency, profile }) {
+  const pool = await connectToMySQL(concurrency);
   
-  return `${emailName}.${randomString}@${domain}`;
-}
-
-/**
- * Generate a random status for testing
- */
-function generateRandomStatus() {
-  const statuses = ['active', 'inactive', 'pending', 'suspended'];
-  return statuses[Math.floor(Math.random() * statuses.length)];
-}
-
-/**
- * Perform an upsert operation using INSERT ... ON DUPLICATE KEY UPDATE
- */
-async function performUpsert(connection, email = null) {
   try {
-    const name = generateRandomName();
-    if (email === null) {
-      email = generateRandomEmail(name);
-    }
-    const status = generateRandomStatus();
-    
-    const query = `
-      INSERT INTO users (name, email, status) 
-      VALUES (?, ?, ?)
-      ON DUPLICATE KEY UPDATE 
-      name = VALUES(name),
-      status = VALUES(status)
-    `;
-    const values = [name, email, status];
-    
-    const [result] = await connection.execute(query, values);
-    
-    // Determine if it was an insert or update
-    let action, userId;
-    
-    if (result.insertId === 0) {
-      action = 'Updated';
-      // Get the ID of the updated user
-      const [rows] = await connection.execute('SELECT id FROM users WHERE email = ?', [email]);
-      userId = rows[0].id;
-    } else {
-      action = 'Inserted';
-      userId = result.insertId;
+    const workload = createWorkload({
+      profile: profile ? loadWorkloadProfile(profile) : validateProfile(UPSERT_PROFILE, 'built-in'),
+      database: MYSQL_DATABASE,
+      logger
+    });
+    const connection = await pool.getConnection();
+    try {
+      await workload.prepare(connection);
+    } finally {
+      connection.release();
     }
+    logger.info(profile ? `Running workload profile ${profile}` : 'Running the built-in upserts');
     
-    logger.info(`${action} user with ID ${userId}: ${name}, ${email}, ${status}`);
-    
-    return userId;
-  } catch (error) {
-    logger.error(`Error performing upsert: ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Run a series of upsert operations in parallel
- */
-async function runParallelUpserts(numOperations = 10, concurrency = 5) {
-  const connection = await connectToMySQL();
-  
-  try {
-    logger.info(`Starting ${numOperations} upserts with concurrency level: ${concurrency}`);
-    
-    // Process operations in batches based on concurrency
-    for (let i = 0; i < numOperations; i += concurrency) {
-      const batchSize = Math.min(concurrency, numOperations - i);
-      logger.info(`Running batch ${Math.floor(i/concurrency) + 1} with ${batchSize} parallel upserts`);
-      
-      // Create an array of upsert promises to execute in parallel
-      const upsertPromises = [];
-      
-      for (let j = 0; j < batchSize; j++) {
-        // 50% chance to use an existing email for an update
-        if (Math.random() < 0.5) {
-          upsertPromises.push((async () => {
-            try {
-              const [rows] = await connection.execute('SELECT email FROM users ORDER BY RAND() LIMIT 1');
-              
-              if (rows.length > 0) {
-                return await performUpsert(connection, rows[0].email);
-              } else {
-                return await performUpsert(connection);
-              }
-            } catch (err) {
-              logger.error(`Error in upsert batch: ${err.message}`);
-              return null;
-            }
-          })());
-        } else {
-          upsertPromises.push(performUpsert(connection));
-        }
-      }
-      
-      // Execute all upserts in this batch in parallel
-      logger.info(`Executing batch ${Math.floor(i/concurrency) + 1} with ${batchSize} parallel upserts...`);
-      const results = await Promise.all(upsertPromises);
-      logger.info(`Completed batch ${Math.floor(i/concurrency) + 1} with results: ${results.filter(Boolean).length} successful`);
-    }
+    const summary = await runLoad({ pool, nextOperation: workload.nextOperation, concurrency, rate, count, duration, logger });
+    logLoadSummary(summary, logger);
+    return summary;
   } finally {
-    if (connection) {
-      await connection.end();
-      logger.info('MySQL connection closed');
-    }
+    await pool.end();
+    logger.info('MySQL connection pool closed');
   }
 }
 
@@ -185,19 +74,65 @@ async function runParallelUpserts(numOperations = 10, concurrency = 5) {
  * Main function
  */
 async function main() {
-  // Parse command line arguments
-  const args = process.argv.slice(2);
-  const numOperations = parseInt(args[0]) || 10;
-  const concurrency = parseInt(process.env.CONCURRENCY || args[1] || '5');
+  // Set up command line arguments
+  const parser = new argparse.ArgumentParser({
+    description: 'Run MySQL upserts in parallel on pooled connections'
+  });
   
-  logger.info(`Starting worker with ${numOperations} operations and ${concurrency} concurrent operations`);
+  parser.add_argument('operations', {
+    nargs: '?',
+    type: 'int',
+    help: 'Number of upserts to perform (default: 10, unlimited with --duration)'
+  });
   
-  try {
-    await runParallelUpserts(numOperations, concurrency);
-    logger.info("All operations completed successfully!");
-  } catch (error) {
-    logger.error(`Error during execution: ${error.message}`);
-    process.exit(1);
+  parser.add_argument('concurrency', {
+    nargs: '?',
+    type: 'int',
+    default: config.workload.concurrency,
+    help: 'Number of pooled connections running upserts in parallel (default: CONCURRENCY or 5)'
+  });
+  
+  parser.add_argument('--rate', {
+    dest: 'rate',
+    type: 'float',
+    default: 0,
+    help: 'Upserts started per second across all connections (default: 0, unlimited)'
+  });
+  
+  parser.add_argument('--duration', {
+    dest: 'duration',
+    type: 'float',
+    help: 'Run for this many seconds instead of a number of upserts'
+  });
+  
+  parser.add_argument('--profile', {
+    dest: 'profile',
+    default: config.workload.profile,
+    help: 'JSON or YAML workload profile run instead of plain upserts; operations then count transactions (default: WORKLOAD_PROFILE)'
+  });
+  
+  addConfigArguments(parser);
+  
+  const args = parser.parse_args();
+  if (args.concurrency < 1) {
+    parser.error('concurrency must be at least 1');
+  }
+  
+  const count = args.operations !== undefined ? args.operations : (args.duration ? null : 10);
+  const limits = [count !== null ? `${count} operations` : null, args.duration ? `${args.duration}s` : null].filter(Boolean).join(' or ');
+  logger.info(`Starting worker for ${limits} at ${args.rate > 0 ? `${args.rate} operations/s` : 'unlimited rate'} with ${args.concurrency} concurrent connections`);
+  
+  const summary = await runParallelUpserts({
+    count,
+    duration: args.duration,
+    rate: args.rate,
+    concurrency: args.concurrency,
+    profile: args.profile
+  });
+  if (summary.failed > 0) {
+    logger.warn(`${summary.failed} of ${summary.total} operations failed`);
+  } else {
+    logger.info('All operations completed successfully!');
   }
 }
 
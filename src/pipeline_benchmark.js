@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+// pipeline_benchmark.js
+// Latency benchmark of the pipeline, from MySQL writes to the consumer.
+//
+// Every write puts a unique marker (`bench-<run>-<n>`) in the `name` column of
+// `users` and records when MySQL acknowledged the commit. The benchmark watches
+// the `changes` collection, like monitor_changes.js, for the event carrying the
+// marker. The latency of a write runs from its commit to the event's
+// `received_at`, stamped by the consumer when the message arrived, so it covers
+// Maxwell and RabbitMQ but neither the consumer's write nor how long the
+// benchmark took to see the event. Both timestamps come from wall clocks, so
+// the benchmark and the consumer should run on hosts with synchronized clocks.
+// Writes run on a connection pool
+// at a fixed rate (see load_runner.js), and a write whose event has not arrived
+// within `--timeout` seconds of its commit counts as missing.
+const mysql = require('mysql2/promise');
+const { MongoClient } = require('mongodb');
+const { createLogger, useStderr } = require('./logger');
+const { initConfig, addConfigArguments, redactUri } = require('./config');
+const { buildMysqlOptions, buildMongoClientOptions } = require('./connection_options');
+const { runLoad, logLoadSummary, createLoadStats } = require('./load_runner');
+const crypto = require('crypto');
+const argparse = require('argparse');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['mysql', 'mongodb', 'workload', 'logging']);
+
+// Configure logging
+const logger = createLogger({ service: 'pipeline-benchmark', ...config.logging });
+
+// MySQL configuration; connection and SSL settings stay in `config`
+const MYSQL_DATABASE = config.mysql.database;
+
+// Table the benchmark writes to, and its marker column
+const TABLE = 'users';
+
+// Domain of the emails of benchmark rows, so they can be told apart
+const EMAIL_DOMAIN = 'benchmark.local';
+
+// Write operations the benchmark can run
+const OPERATIONS = ['insert', 'update', 'upsert'];
+
+// Markers looked up per query when polling
+const POLL_BATCH_SIZE = 1000;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_MISSING = 2;
+
+/**
+ * Create a pool of `connectionLimit` MySQL connections, waiting until MySQL
+ * accepts connections
+ */
+async function connectToMySQL(connectionLimit) {
+  const pool = mysql.createPool({ ...buildMysqlOptions(config.mysql), connectionLimit });
+  
+  while (true) {
+    try {
+      const connection = await pool.getConnection();
+      connection.release();
+      
+      logger.info(`Successfully connected to MySQL with a pool of ${connectionLimit} connections`);
+      return pool;
+    } catch (error) {
+      logger.warn(`Failed to connect to MySQL: ${error.message}. Retrying in 5 seconds...`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+/**
+ * Connect to MongoDB with retry logic
+ */
+async function connectToMongoDB() {
+  while (true) {
+    try {
+      const client = new MongoClient(config.mongodb.uri, buildMongoClientOptions(config.mongodb));
+      await client.connect();
+      
+      const db = client.db(config.mongodb.db);
+      const collection = db.collection(config.mongodb.collection);
+      
+      logger.info(`Successfully connected to MongoDB at ${redactUri(config.mongodb.uri)}`);
+      return { client, db, collection };
+    } catch (error) {
+      logger.warn(`Failed to connect to MongoDB: ${error.message}. Retrying in 5 seconds...`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+/**
+ * Change streams need a replica set or sharded cluster
+ */
+async function supportsChangeStreams(db) {
+  const hello = await db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+/**
+ * When an event reached the consumer, in milliseconds: its `received_at`, or
+ * now for events stored without one
+ */
+function getArrivalTime(change) {
+  return typeof change.received_at === 'number' ? change.received_at * 1000 : Date.now();
+}
+
+/**
+ * Match the commits of marked writes with the arrival of their events. An
+ * event can be seen before its commit is recorded, so whichever of the two
+ * comes second completes the pair.
+ */
+function createArrivalTracker() {
+  const pending = new Map();
+  const early = new Map();
+  const stats = createLoadStats();
+  let committed = 0;
+  let arrived = 0;
+  let missing = 0;
+  let firstCommitAt = null;
+  let lastArrivalAt = null;
+  
+  function complete(operation, committedAt, arrivedAt) {
+    const latency = Math.max(0, arrivedAt - committedAt);
+    stats.recordSuccess(operation, latency);
+    stats.recordSuccess('all', latency);
+    arrived++;
+    lastArrivalAt = Math.max(lastArrivalAt || 0, arrivedAt);
+  }
+  
+  function commit(marker, operation, committedAt) {
+    committed++;
+    firstCommitAt = firstCommitAt === null ? committedAt : Math.min(firstCommitAt, committedAt);
+    
+    if (early.has(marker)) {
+      complete(operation, committedAt, early.get(marker));
+      early.delete(marker);
+    } else {
+      pending.set(marker, { operation, committedAt });
+    }
+  }
+  
+  function arrive(marker, arrivedAt) {
+    const write = pending.get(marker);
+    if (write) {
+      pending.delete(marker);
+      complete(write.operation, write.committedAt, arrivedAt);
+    } else if (!early.has(marker)) {
+      early.set(marker, arrivedAt);
+    }
+  }
+  
+  /**
+   * Count writes committed more than `timeoutMs` before `now` as missing
+   */
+  function expire(now, timeoutMs) {
+    for (const [marker, { committedAt }] of pending) {
+      if (now - committedAt >= timeoutMs) {
+        pending.delete(marker);
+        missing++;
+      }
+    }
+  }
+  
+  function pendingMarkers() {
+    return [...pending.keys()];
+  }
+  
+  function summarize() {
+    const { operations } = stats.summarize();
+    return { committed, arrived, missing, pending: pending.size, firstCommitAt, lastArrivalAt, latency: operations };
+  }
+  
+  return { commit, arrive, expire, pendingMarkers, summarize };
+}
+
+/**
+ * Marked writes on `users`. Updates and upserts of existing rows only touch
+ * rows this run inserted.
+ */
+function createMarkedWrites(runId, tracker, types) {
+  const insertedEmails = [];
+  let sequence = 0;
+  
+  function nextMarker() {
+    sequence++;
+    return `${runId}-${sequence}`;
+  }
+  
+  function randomStatus() {
+    const statuses = ['active', 'inactive', 'pending', 'suspended'];
+    return statuses[Math.floor(Math.random() * statuses.length)];
+  }
+  
+  function pickInserted() {
+    return insertedEmails[Math.floor(Math.random() * insertedEmails.length)];
+  }
+  
+  async function insert(connection, marker) {
+    const email = `${marker}@${EMAIL_DOMAIN}`;
+    await connection.execute(
+      `INSERT INTO ${TABLE} (name, email, status) VALUES (?, ?, ?)`,
+      [marker, email, randomStatus()]
+    );
+    insertedEmails.push(email);
+  }
+  
+  async function update(connection, marker) {
+    await connection.execute(
+      `UPDATE ${TABLE} SET name = ?, status = ? WHERE email = ?`,
+      [marker, randomStatus(), pickInserted()]
+    );
+  }
+  
+  async function upsert(connection, marker) {
+    // Half of the upserts collide with an existing row and become updates
+    const email = Math.random() < 0.5 ? pickInserted() : `${marker}@${EMAIL_DOMAIN}`;
+    await connection.execute(
+      `INSERT INTO ${TABLE} (name, email, status) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE name = VALUES(name), status = VALUES(status)`,
+      [marker, email, randomStatus()]
+    );
+    if (email.startsWith(`${marker}@`)) {
+      insertedEmails.push(email);
+    }
+  }
+  
+  const writes = { insert, update, upsert };
+  
+  /**
+   * Next write for the load runner. The commit time is taken when MySQL
+   * acknowledges the autocommitted statement.
+   */
+  function nextOperation() {
+    let operation = types[Math.floor(Math.random() * types.length)];
+    if (operation !== 'insert' && insertedEmails.length === 0) {
+      operation = 'insert';
+    }
+    
+    const run = async (connection) => {
+      const marker = nextMarker();
+      await writes[operation](connection, marker);
+      tracker.commit(marker, operation, Date.now());
+    };
+    
+    return { operation, run };
+  }
+  
+  return { nextOperation };
+}
+
+/**
+ * Base filter of the change events of this run
+ */
+function buildEventFilter(runId) {
+  return {
+    database: MYSQL_DATABASE,
+    table: TABLE,
+    type: { $in: ['insert', 'update'] },
+    'data.name': { $regex: `^${runId}-` }
+  };
+}
+
+/**
+ * Follow arrivals with a change stream opened before the first write.
+ * Returns a function that stops watching.
+ */
+async function watchArrivals(db, collection, runId, tracker) {
+  const match = { operationType: 'insert' };
+  for (const [field, condition] of Object.entries(buildEventFilter(runId))) {
+    match[`fullDocument.${field}`] = condition;
+  }
+  
+  // Start from now, so no event is missed while the stream opens
+  const { operationTime } = await db.command({ ping: 1 });
+  const changeStream = collection.watch([{ $match: match }], { startAtOperationTime: operationTime });
+  
+  const done = (async () => {
+    for await (const event of changeStream) {
+      tracker.arrive(event.fullDocument.data.name, getArrivalTime(event.fullDocument));
+    }
+  })().catch(error => {
+    if (!changeStream.closed) {
+      logger.error(`Change stream failed: ${error.message}`);
+    }
+  });
+  
+  return async () => {
+    await changeStream.close();
+    await done;
+  };
+}
+
+/**
+ * Follow arrivals by polling for the pending markers every `interval` seconds
+ * (standalone MongoDB). Returns a function that stops polling.
+ */
+function pollArrivals(collection, runId, tracker, interval) {
+  let stopped = false;
+  
+  const done = (async () => {
+    while (!stopped) {
+      const markers = tracker.pendingMarkers();
+      
+      for (let i = 0; i < markers.length; i += POLL_BATCH_SIZE) {
+        const cursor = collection.find(
+          { ...buildEventFilter(runId), 'data.name': { $in: markers.slice(i, i + POLL_BATCH_SIZE) } },
+          { projection: { 'data.name': 1, received_at: 1 } }
+        );
+        for await (const change of cursor) {
+          tracker.arrive(change.data.name, getArrivalTime(change));
+        }
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, interval * 1000));
+    }
+  })().catch(error => {
+    logger.error(`Polling for changes failed: ${error.message}`);
+  });
+  
+  return async () => {
+    stopped = true;
+    await done;
+  };
+}
+
+/**
+ * Wait until every committed write has arrived or has been pending for
+ * `timeout` seconds, then count the rest as missing
+ */
+async function waitForArrivals(tracker, timeout) {
+  const timeoutMs = timeout * 1000;
+  
+  while (tracker.pendingMarkers().length > 0) {
+    tracker.expire(Date.now(), timeoutMs);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Remove the rows of a run from MySQL. The deletes still flow through the
+ * pipeline but are not measured.
+ */
+async function cleanup(pool, runId) {
+  const [result] = await pool.query(`DELETE FROM ${TABLE} WHERE email LIKE ?`, [`${runId}-%@${EMAIL_DOMAIN}`]);
+  logger.info(`Removed ${result.affectedRows} benchmark rows`);
+}
+
+/**
+ * Benchmark report from the write summary and the arrivals
+ */
+function buildReport(runId, writes, arrivals) {
+  const arrivalSpan = arrivals.lastArrivalAt !== null
+    ? (arrivals.lastArrivalAt - arrivals.firstCommitAt) / 1000
+    : 0;
+  
+  return {
+    run: runId,
+    writes: {
+      total: writes.total,
+      failed: writes.failed,
+      elapsed: writes.elapsed,
+      throughput: writes.elapsed > 0 ? (writes.total - writes.failed) / writes.elapsed : 0
+    },
+    committed: arrivals.committed,
+    arrived: arrivals.arrived,
+    missing: arrivals.missing,
+    throughput: arrivalSpan > 0 ? arrivals.arrived / arrivalSpan : 0,
+    latency: arrivals.latency
+  };
+}
+
+/**
+ * Log the pipeline part of a report
+ */
+function logReport(report) {
+  const format = ms => ms === null ? 'n/a' : `${ms.toFixed(1)}ms`;
+  
+  logger.info(`Pipeline: ${report.arrived} of ${report.committed} committed writes arrived (${report.throughput.toFixed(1)} events/s), ${report.missing} missing`);
+  for (const [operation, entry] of Object.entries(report.latency)) {
+    logger.info(`  ${operation}: ${entry.count} events, commit to consumer p50 ${format(entry.p50)} p90 ${format(entry.p90)} p99 ${format(entry.p99)} max ${format(entry.max)}`);
+  }
+  if (report.missing > 0) {
+    logger.warn(`${report.missing} writes never arrived in MongoDB within the timeout`);
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  // Set up command line arguments
+  const parser = new argparse.ArgumentParser({
+    description: 'Measure the latency from MySQL writes until the consumer receives their events'
+  });
+  
+  parser.add_argument('--operations', {
+    dest: 'operations',
+    type: 'int',
+    help: 'Number of writes (default: 1000, unlimited with --duration)'
+  });
+  
+  parser.add_argument('--duration', {
+    dest: 'duration',
+    type: 'float',
+    help: 'Write for this many seconds instead of a number of writes'
+  });
+  
+  parser.add_argument('--rate', {
+    dest: 'rate',
+    type: 'float',
+    default: 100,
+    help: 'Writes started per second across all connections (0 is unlimited)'
+  });
+  
+  parser.add_argument('--concurrency', {
+    dest: 'concurrency',
+    type: 'int',
+    default: config.workload.concurrency,
+    help: 'Number of pooled connections writing in parallel (default: CONCURRENCY or 5)'
+  });
+  
+  parser.add_argument('--types', {
+    dest: 'types',
+    default: OPERATIONS.join(','),
+    help: `Comma-separated write types to mix (default: ${OPERATIONS.join(',')})`
+  });
+  
+  parser.add_argument('--timeout', {
+    dest: 'timeout',
+    type: 'float',
+    default: 30,
+    help: 'Seconds after its commit a write\'s event may take before it counts as missing'
+  });
+  
+  parser.add_argument('--poll-interval', {
+    dest: 'poll_interval',
+    type: 'float',
+    default: 0.1,
+    help: 'Seconds between polls when MongoDB does not support change streams'
+  });
+  
+  parser.add_argument('--cleanup', {
+    dest: 'cleanup',
+    action: 'store_true',
+    help: 'Delete the rows written by the benchmark afterwards'
+  });
+  
+  parser.add_argument('--json', {
+    dest: 'json',
+    action: 'store_true',
+    help: 'Print the report as JSON'
+  });
+  
+  addConfigArguments(parser);
+  
+  const args = parser.parse_args();
+  if (args.concurrency < 1) {
+    parser.error('--concurrency must be at least 1');
+  }
+  
+  const types = args.types.split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !OPERATIONS.includes(type));
+  if (types.length === 0 || unknown.length > 0) {
+    parser.error(`--types must be a list of ${OPERATIONS.join(', ')}`);
+  }
+  
+  // Keep stdout for the report
+  if (args.json) {
+    useStderr(logger);
+  }
+  
+  const runId = `bench-${crypto.randomBytes(4).toString('hex')}`;
+  const count = args.operations !== undefined ? args.operations : (args.duration ? null : 1000);
+  const tracker = createArrivalTracker();
+  const { nextOperation } = createMarkedWrites(runId, tracker, types);
+  
+  const pool = await connectToMySQL(args.concurrency);
+  const { client, db, collection } = await connectToMongoDB();
+  
+  try {
+    let stopWatching;
+    if (await supportsChangeStreams(db)) {
+      stopWatching = await watchArrivals(db, collection, runId, tracker);
+    } else {
+      logger.info(`MongoDB is not a replica set, polling for arrivals every ${args.poll_interval} seconds`);
+      stopWatching = pollArrivals(collection, runId, tracker, args.poll_interval);
+    }
+    
+    let writes;
+    try {
+      logger.info(`Starting benchmark run ${runId} at ${args.rate > 0 ? `${args.rate} writes/s` : 'unlimited rate'} with ${args.concurrency} concurrent connections`);
+      writes = await runLoad({ pool, nextOperation, concurrency: args.concurrency, rate: args.rate, count, duration: args.duration, logger });
+      logLoadSummary(writes, logger);
+      
+      logger.info(`Waiting up to ${args.timeout}s for the remaining events`);
+      await waitForArrivals(tracker, args.timeout);
+    } finally {
+      await stopWatching();
+    }
+    
+    const report = buildReport(runId, writes, tracker.summarize());
+    logReport(report);
+    if (args.json) {
+      process.stdout.write(`${JSON.stringify(report)}\n`);
+    }
+    
+    if (args.cleanup) {
+      await cleanup(pool, runId);
+    }
+    
+    return report.missing > 0 ? EXIT_MISSING : EXIT_OK;
+  } finally {
+    await pool.end();
+    await client.close();
+  }
+}
+
+module.exports = {
+  getArrivalTime,
+  createArrivalTracker,
+  buildReport
+};
+
+// Start the application when run from the command line
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error(`Benchmark failed: ${error.message}`);
+      process.exit(EXIT_ERROR);
+    });
+}
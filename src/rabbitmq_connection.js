@@ -0,0 +1,225 @@
+// rabbitmq_connection.js
+const EventEmitter = require('events');
+const amqp = require('amqplib');
+
+/**
+ * Connection manager that owns a single RabbitMQ connection and channel.
+ *
+ * It reconnects with exponential backoff and jitter whenever the connection
+ * or channel is lost, re-runs the topology setup and re-subscribes every
+ * registered consumer. State changes are emitted as `state` events with the
+ * new and previous state, plus `connected` (with the channel) and
+ * `disconnected` (with the error, if any).
+ *
+ * States: idle -> connecting -> connected -> reconnecting -> connected ... -> closed
+ */
+class RabbitMQConnectionManager extends EventEmitter {
+  /**
+   * `url` and `socketOptions` are passed to amqp.connect; `url` may be a
+   * connection string or an object with protocol, hostname, credentials, ...
+   * With `confirm` the channel is a confirm channel.
+   */
+  constructor({ url, socketOptions = {}, setup, confirm = false, logger, initialDelay = 1000, maxDelay = 30000 }) {
+    super();
+    this.url = url;
+    this.socketOptions = socketOptions;
+    this.confirm = confirm;
+    this.setup = setup;
+    this.logger = logger;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    
+    this.state = 'idle';
+    this.connection = null;
+    this.channel = null;
+    this.consumers = [];
+    this.reconnectTimer = null;
+  }
+  
+  /**
+   * Change state and notify listeners
+   */
+  setState(state) {
+    const previous = this.state;
+    if (previous === state) {
+      return;
+    }
+    this.state = state;
+    this.emit('state', state, previous);
+  }
+  
+  /**
+   * Whether a usable channel is currently open
+   */
+  isConnected() {
+    return this.state === 'connected';
+  }
+  
+  /**
+   * Delay before the given reconnect attempt: exponential, capped, with jitter
+   */
+  getBackoffDelay(attempt) {
+    const cap = Math.min(this.maxDelay, this.initialDelay * Math.pow(2, attempt));
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+  }
+  
+  /**
+   * Connect, retrying with backoff until it succeeds or the manager is closed
+   */
+  async start() {
+    if (this.state === 'idle') {
+      this.setState('connecting');
+    }
+    
+    let attempt = 0;
+    while (this.state !== 'closed') {
+      try {
+        await this.open();
+        return this.channel;
+      } catch (error) {
+        const delay = this.getBackoffDelay(attempt++);
+        this.logger.warn(`Failed to connect to RabbitMQ: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)} seconds...`);
+        await new Promise(resolve => {
+          this.reconnectTimer = setTimeout(resolve, delay);
+        });
+        this.reconnectTimer = null;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Open the connection and channel, set up the topology and subscribe consumers
+   */
+  async open() {
+    const connection = await amqp.connect(this.url, this.socketOptions);
+    
+    // Listen before any awaited setup: amqplib emits 'error' whether or not
+    // anyone listens, and an unhandled one would end the process. Error events
+    // are always followed by a close event, which drives reconnection once
+    // the connection is current; until then a failure rejects open().
+    connection.on('error', (err) => {
+      this.logger.error(`RabbitMQ connection error: ${err.message}`);
+    });
+    connection.on('close', (err) => this.handleClose(connection, err));
+    
+    try {
+      const channel = this.confirm ? await connection.createConfirmChannel() : await connection.createChannel();
+      
+      channel.on('error', (err) => {
+        this.logger.error(`RabbitMQ channel error: ${err.message}`);
+      });
+      channel.on('close', () => {
+        // A channel closed by the broker leaves the connection open; recycle both
+        if (this.connection === connection && this.state !== 'closed') {
+          connection.close().catch(() => {});
+        }
+      });
+      
+      // Declare exchanges, queues and bindings
+      await this.setup(channel);
+      
+      // Re-subscribe every consumer registered so far
+      for (const consumer of this.consumers) {
+        const { consumerTag } = await channel.consume(consumer.queue, message => consumer.onMessage(message, channel), consumer.options);
+        consumer.consumerTag = consumerTag;
+      }
+      
+      this.connection = connection;
+      this.channel = channel;
+      this.setState('connected');
+      this.emit('connected', channel);
+      this.logger.info('Successfully connected to RabbitMQ');
+      
+      return channel;
+    } catch (error) {
+      connection.close().catch(() => {});
+      throw error;
+    }
+  }
+  
+  /**
+   * React to a lost connection by reconnecting exactly once
+   */
+  handleClose(connection, err) {
+    if (this.connection !== connection) {
+      return;
+    }
+    
+    this.connection = null;
+    this.channel = null;
+    
+    if (this.state === 'closed') {
+      return;
+    }
+    
+    this.logger.warn(`RabbitMQ connection closed${err ? `: ${err.message}` : ''}. Reconnecting...`);
+    this.setState('reconnecting');
+    this.emit('disconnected', err);
+    
+    this.start().catch(error => {
+      this.logger.error(`Error reconnecting to RabbitMQ: ${error.message}`);
+    });
+  }
+  
+  /**
+   * Register a consumer; it is subscribed now if connected and after every reconnect.
+   * The handler receives the message and the channel it was delivered on.
+   */
+  async consume(queue, onMessage, options = {}) {
+    const consumer = { queue, onMessage, options, consumerTag: null };
+    this.consumers.push(consumer);
+    
+    if (this.channel) {
+      const channel = this.channel;
+      const { consumerTag } = await channel.consume(queue, message => onMessage(message, channel), options);
+      consumer.consumerTag = consumerTag;
+    }
+    
+    return consumer;
+  }
+  
+  /**
+   * Cancel every registered consumer so no new deliveries arrive.
+   * Cancelled consumers are not re-subscribed after a reconnect.
+   */
+  async cancelConsumers() {
+    const consumers = this.consumers;
+    this.consumers = [];
+    
+    if (!this.channel) {
+      return;
+    }
+    
+    for (const consumer of consumers) {
+      if (consumer.consumerTag) {
+        await this.channel.cancel(consumer.consumerTag);
+      }
+    }
+  }
+  
+  /**
+   * Close the connection for good; no reconnection is attempted afterwards
+   */
+  async close() {
+    this.setState('closed');
+    
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    
+    const connection = this.connection;
+    this.connection = null;
+    this.channel = null;
+    
+    if (connection) {
+      await connection.close();
+    }
+  }
+}
+
+module.exports = {
+  RabbitMQConnectionManager
+};
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+// row_history.js
+// Rebuild the state of a MySQL row from the change log: what it looked like at
+// a point in time, or its full history with per-field diffs between versions.
+// Can be used as a module or from the command line.
+const { MongoClient } = require('mongodb');
+const { createLogger, configureLogger } = require('./logger');
+const { initConfig, addConfigArguments } = require('./config');
+const { buildMongoClientOptions } = require('./connection_options');
+const argparse = require('argparse');
+
+// Configure logging; main() applies the configured level and format
+const logger = createLogger({ service: 'row-history' });
+
+// Event types that carry a full row image
+const ROW_TYPES = ['insert', 'update', 'delete', 'bootstrap-insert'];
+
+/**
+ * Convert a Maxwell `ts` to Unix seconds, whether it is in seconds or milliseconds
+ */
+function tsToSeconds(ts) {
+  return ts > 1e12 ? ts / 1000 : ts;
+}
+
+/**
+ * Parse a point in time given as ISO date or Unix seconds. Returns Unix seconds.
+ */
+function parseTime(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return parseFloat(value);
+  }
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid time '${value}', expected an ISO date or Unix seconds`);
+  }
+  return date.getTime() / 1000;
+}
+
+/**
+ * Parse a primary key given as a single value (`42`) or as column/value pairs
+ * (`tenant_id=1,user_id=7`). Values are read as JSON when possible.
+ */
+function parsePrimaryKey(value) {
+  const parseValue = raw => {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  };
+  
+  if (!value.includes('=')) {
+    return { value: parseValue(value) };
+  }
+  
+  const columns = {};
+  for (const pair of value.split(',')) {
+    const [column, raw] = pair.split('=');
+    columns[column.trim()] = parseValue(raw.trim());
+  }
+  return { columns };
+}
+
+/**
+ * Find the primary key columns of a table from Maxwell's `primary_key_columns`
+ * on its most recent event, defaulting to `id`
+ */
+async function getPrimaryKeyColumns(collection, database, table) {
+  const event = await collection.findOne(
+    { database, table, primary_key_columns: { $exists: true } },
+    { sort: { ts: -1 }, projection: { primary_key_columns: 1 } }
+  );
+  
+  return event && event.primary_key_columns.length > 0
+    ? event.primary_key_columns
+    : ['id'];
+}
+
+/**
+ * Fetch every row event for one primary key in binlog order
+ */
+async function findRowEvents(collection, database, table, primaryKey) {
+  let columns = primaryKey.columns;
+  
+  if (!columns) {
+    const keyColumns = await getPrimaryKeyColumns(collection, database, table);
+    if (keyColumns.length !== 1) {
+      throw new Error(`${database}.${table} has a composite primary key (${keyColumns.join(', ')}), pass it as column=value pairs`);
+    }
+    columns = { [keyColumns[0]]: primaryKey.value };
+  }
+  
+  const filter = { database, table, type: { $in: ROW_TYPES } };
+  for (const [column, value] of Object.entries(columns)) {
+    filter[`data.${column}`] = value;
+  }
+  
+  return collection.find(filter).sort({ ts: 1, xid: 1, xoffset: 1, _id: 1 }).toArray();
+}
+
+/**
+ * State of the row after an event: the row image, or null once deleted
+ */
+function applyEvent(event) {
+  return event.type === 'delete' ? null : { ...(event.data || {}) };
+}
+
+/**
+ * Fields that differ between two versions of a row
+ */
+function diffRows(before, after) {
+  const changes = {};
+  const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  
+  for (const column of columns) {
+    const oldValue = before ? before[column] : undefined;
+    const newValue = after ? after[column] : undefined;
+    
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[column] = { from: oldValue, to: newValue };
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Rebuild the row as it was at `time` (Unix seconds) from its events.
+ * Returns null if the row did not exist at that time.
+ */
+function reconstructRow(events, time) {
+  let state = null;
+  
+  for (const event of events) {
+    if (tsToSeconds(event.ts || 0) > time) {
+      break;
+    }
+    state = applyEvent(event);
+  }
+  
+  return state;
+}
+
+/**
+ * Build the list of versions of a row with the fields each event changed
+ */
+function buildRowHistory(events) {
+  const history = [];
+  let state = null;
+  
+  for (const event of events) {
+    const next = applyEvent(event);
+    history.push({
+      type: event.type,
+      ts: event.ts,
+      xid: event.xid,
+      row: next,
+      changes: diffRows(state, next)
+    });
+    state = next;
+  }
+  
+  return history;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  // Set up command line arguments
+  const parser = new argparse.ArgumentParser({
+    description: 'Reconstruct a row from the MongoDB change log'
+  });
+  
+  parser.add_argument('command', {
+    choices: ['at', 'history'],
+    help: 'Show the row at a point in time, or its full history'
+  });
+  
+  parser.add_argument('--database', {
+    dest: 'database',
+    default: 'sample_db',
+    help: 'Database of the row'
+  });
+  
+  parser.add_argument('--table', {
+    dest: 'table',
+    required: true,
+    help: 'Table of the row'
+  });
+  
+  parser.add_argument('--pk', {
+    dest: 'pk',
+    required: true,
+    help: 'Primary key value (42) or column=value pairs for composite keys (a=1,b=2)'
+  });
+  
+  parser.add_argument('--time', {
+    dest: 'time',
+    help: 'Point in time as ISO date or Unix seconds (default: now)'
+  });
+  
+  parser.add_argument('--json', {
+    dest: 'json',
+    action: 'store_true',
+    help: 'Print the result as JSON'
+  });
+  
+  addConfigArguments(parser);
+  
+  // Load the configuration first so --print-config works without the other arguments
+  const config = initConfig(['mongodb', 'logging']);
+  configureLogger(logger, config.logging);
+  
+  const args = parser.parse_args();
+  const primaryKey = parsePrimaryKey(args.pk);
+  const time = args.time ? parseTime(args.time) : Date.now() / 1000;
+  
+  const client = new MongoClient(config.mongodb.uri, buildMongoClientOptions(config.mongodb));
+  await client.connect();
+  
+  try {
+    const collection = client.db(config.mongodb.db).collection(config.mongodb.collection);
+    const events = await findRowEvents(collection, args.database, args.table, primaryKey);
+    const name = `${args.database}.${args.table} row ${args.pk}`;
+    
+    if (args.command === 'at') {
+      const row = reconstructRow(events, time);
+      
+      if (args.json) {
+        process.stdout.write(`${JSON.stringify(row)}\n`);
+      } else if (row === null) {
+        logger.info(`${name} did not exist at ${new Date(time * 1000).toISOString()}`);
+      } else {
+        logger.info(`${name} at ${new Date(time * 1000).toISOString()}: ${JSON.stringify(row)}`);
+      }
+      return;
+    }
+    
+    const history = buildRowHistory(events);
+    
+    if (args.json) {
+      process.stdout.write(`${JSON.stringify(history)}\n`);
+      return;
+    }
+    
+    logger.info(`${name} has ${history.length} versions`);
+    for (const version of history) {
+      const when = new Date(tsToSeconds(version.ts || 0) * 1000).toISOString();
+      logger.info(`${version.type.toUpperCase()} at ${when} (xid ${version.xid}):`);
+      for (const [column, change] of Object.entries(version.changes)) {
+        logger.info(`  ${column}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+      }
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+module.exports = {
+  ROW_TYPES,
+  tsToSeconds,
+  parsePrimaryKey,
+  getPrimaryKeyColumns,
+  findRowEvents,
+  diffRows,
+  reconstructRow,
+  buildRowHistory
+};
+
+// Start the application when run from the command line
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Failed to reconstruct row: ${error.message}`);
+    process.exit(1);
+  });
+}
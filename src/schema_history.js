@@ -0,0 +1,144 @@
+// schema_history.js
+// Handling of Maxwell DDL events (emitted with output_ddl=true).
+//
+// Every DDL event is recorded in the schema history collection with the table
+// definition before and after the change. Materialized per-table collections
+// follow the schema: dropping a table (or its database) archives the
+// collection under `<database>.<table>.dropped_<time>`, and renaming a table
+// renames its collection.
+
+const SCHEMA_CHANGE_TYPES = [
+  'database-create',
+  'database-alter',
+  'database-drop',
+  'table-create',
+  'table-alter',
+  'table-drop'
+];
+
+// MongoDB error code for renaming a collection that does not exist
+const NAMESPACE_NOT_FOUND = 26;
+
+/**
+ * Whether a Maxwell message type is a DDL event
+ */
+function isSchemaChange(type) {
+  return SCHEMA_CHANGE_TYPES.includes(type);
+}
+
+/**
+ * Build the schema history entry for a DDL event
+ */
+function buildSchemaHistoryEntry(content) {
+  const entry = {
+    type: content.type,
+    database: content.database,
+    table: content.table || null,
+    sql: content.sql || null,
+    before: content.old || null,
+    after: content.def || null,
+    ts: content.ts,
+    position: content.position || null,
+    received_at: content.received_at
+  };
+  
+  if (content.event_id) {
+    entry.event_id = content.event_id;
+  }
+  
+  return entry;
+}
+
+/**
+ * The old and new name of a table renamed by a table-alter, or null
+ */
+function getRename(content) {
+  if (content.type !== 'table-alter' || !content.old || !content.def) {
+    return null;
+  }
+  
+  const from = { database: content.old.database || content.database, table: content.old.table };
+  const to = { database: content.def.database || content.database, table: content.def.table };
+  
+  if (!from.table || !to.table || (from.database === to.database && from.table === to.table)) {
+    return null;
+  }
+  
+  return { from, to };
+}
+
+/**
+ * Suffix for archived collections, from the time of the DDL event so that a
+ * redelivered event archives under the same name
+ */
+function getArchiveSuffix(content) {
+  const seconds = content.ts > 1e12 ? content.ts / 1000 : content.ts;
+  const time = new Date((seconds || Date.now() / 1000) * 1000);
+  return `dropped_${time.toISOString().replace(/[-:T]/g, '').substring(0, 14)}`;
+}
+
+/**
+ * Rename a collection, ignoring a missing source (e.g. on redelivery).
+ * Returns true if the collection was renamed.
+ */
+async function renameCollection(db, from, to) {
+  try {
+    await db.renameCollection(from, to);
+    return true;
+  } catch (error) {
+    if (error.code === NAMESPACE_NOT_FOUND) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make the materialized collections follow a DDL event.
+ * `shouldMaterialize(database, table)` decides which tables have a collection.
+ * Returns a list of human-readable descriptions of what was done.
+ */
+async function applySchemaChangeToReplicas(db, content, shouldMaterialize) {
+  const actions = [];
+  const suffix = getArchiveSuffix(content);
+  
+  if (content.type === 'table-drop' && content.table && shouldMaterialize(content.database, content.table)) {
+    const name = `${content.database}.${content.table}`;
+    if (await renameCollection(db, name, `${name}.${suffix}`)) {
+      actions.push(`archived ${name} as ${name}.${suffix}`);
+    }
+  }
+  
+  if (content.type === 'database-drop') {
+    const prefix = `${content.database}.`;
+    const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+    
+    for (const { name } of collections) {
+      const table = name.substring(prefix.length);
+      if (name.startsWith(prefix) && !name.includes('.dropped_') && shouldMaterialize(content.database, table)) {
+        if (await renameCollection(db, name, `${name}.${suffix}`)) {
+          actions.push(`archived ${name} as ${name}.${suffix}`);
+        }
+      }
+    }
+  }
+  
+  const rename = getRename(content);
+  if (rename && shouldMaterialize(rename.from.database, rename.from.table)) {
+    const from = `${rename.from.database}.${rename.from.table}`;
+    const to = `${rename.to.database}.${rename.to.table}`;
+    if (await renameCollection(db, from, to)) {
+      actions.push(`renamed ${from} to ${to}`);
+    }
+  }
+  
+  return actions;
+}
+
+module.exports = {
+  SCHEMA_CHANGE_TYPES,
+  isSchemaChange,
+  buildSchemaHistoryEntry,
+  getRename,
+  applySchemaChangeToReplicas
+};
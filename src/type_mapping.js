@@ -0,0 +1,218 @@
+// type_mapping.js
+// Optional type-faithful conversion of Maxwell row values into BSON.
+//
+// Maxwell's JSON carries DECIMAL and BIGINT as JSON numbers and DATETIME,
+// TIMESTAMP and binary columns as strings. The payload is parsed losslessly
+// (numbers are kept as their source text) and columns are converted by MySQL
+// type: BIGINT -> Long, DECIMAL -> Decimal128, DATETIME/TIMESTAMP/DATE -> Date,
+// BLOB/BINARY -> Binary. Column types come from the table definitions in
+// Maxwell's DDL events and from an optional per-table schema file, e.g.
+//   { "sample_db.users": { "id": "int", "balance": "decimal", "created_at": "timestamp" } }
+// Integers in columns of unknown type stay JS numbers unless they would lose
+// precision, in which case they become Long (or Decimal128 beyond 64 bits).
+const fs = require('fs');
+const { parse } = require('lossless-json');
+const { Binary, Decimal128, Long } = require('mongodb');
+
+// Largest and smallest values a signed 64-bit Long can hold
+const LONG_MAX = BigInt('9223372036854775807');
+const LONG_MIN = BigInt('-9223372036854775808');
+
+/**
+ * A JSON number kept as its source text until its column type is known
+ */
+class RawNumber {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+/**
+ * Convert a raw number without type information to the most faithful value
+ */
+function convertNumber(raw) {
+  const value = Number(raw.text);
+  const isInteger = /^-?\d+$/.test(raw.text);
+  
+  if (isInteger && !Number.isSafeInteger(value)) {
+    const big = BigInt(raw.text);
+    return big >= LONG_MIN && big <= LONG_MAX
+      ? Long.fromString(raw.text)
+      : Decimal128.fromString(raw.text);
+  }
+  
+  return value;
+}
+
+/**
+ * Replace every raw number in a parsed value with a JS number or Long
+ */
+function normalizeNumbers(value) {
+  if (value instanceof RawNumber) {
+    return convertNumber(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeNumbers);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = normalizeNumbers(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Parse a MySQL DATETIME/TIMESTAMP/DATE string (in UTC, as Maxwell writes it).
+ * Zero dates and unparseable values are kept as they are.
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || value.startsWith('0000-00-00')) {
+    return value;
+  }
+  
+  const iso = value.length === 10 ? `${value}T00:00:00Z` : `${value.replace(' ', 'T')}Z`;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? value : date;
+}
+
+/**
+ * Convert one column value according to its MySQL type
+ */
+function convertValue(value, mysqlType) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  
+  const type = mysqlType.toLowerCase();
+  const text = value instanceof RawNumber ? value.text : null;
+  
+  if (type === 'bigint' && text !== null && /^-?\d+$/.test(text)) {
+    const big = BigInt(text);
+    return big >= LONG_MIN && big <= LONG_MAX ? Long.fromString(text) : Decimal128.fromString(text);
+  }
+  
+  if ((type === 'decimal' || type === 'numeric') && (text !== null || typeof value === 'string')) {
+    return Decimal128.fromString(text !== null ? text : value);
+  }
+  
+  if (['datetime', 'timestamp', 'date'].includes(type)) {
+    return parseDate(value);
+  }
+  
+  if (/(blob|binary)$/.test(type) && typeof value === 'string') {
+    // Maxwell writes binary columns base64 encoded
+    return new Binary(Buffer.from(value, 'base64'));
+  }
+  
+  return normalizeNumbers(value);
+}
+
+/**
+ * Read column types from a Maxwell table definition (`def` of a DDL event)
+ */
+function getColumnTypes(definition) {
+  const types = {};
+  for (const column of (definition && definition.columns) || []) {
+    if (column.name && column.type) {
+      types[column.name] = column.type;
+    }
+  }
+  return types;
+}
+
+/**
+ * Create a type mapper. Configured column types take precedence over the ones
+ * learned from DDL events.
+ */
+function createTypeMapper({ schemaFile } = {}) {
+  // `database.table` -> { column: mysqlType }
+  const learned = new Map();
+  const configured = new Map();
+  
+  if (schemaFile) {
+    const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+    for (const [table, columns] of Object.entries(schema)) {
+      configured.set(table, columns);
+    }
+  }
+  
+  function getTypes(database, table) {
+    const name = `${database}.${table}`;
+    return { ...(learned.get(name) || {}), ...(configured.get(name) || {}) };
+  }
+  
+  function convertRow(row, types) {
+    if (!row || typeof row !== 'object') {
+      return normalizeNumbers(row);
+    }
+    
+    const result = {};
+    for (const [column, value] of Object.entries(row)) {
+      result[column] = types[column] ? convertValue(value, types[column]) : normalizeNumbers(value);
+    }
+    return result;
+  }
+  
+  /**
+   * Parse a Maxwell message without losing precision and convert its row
+   * images (`data` and `old`) to BSON types
+   */
+  function parseMessage(text) {
+    const raw = parse(text, null, number => new RawNumber(number));
+    const { data, old, ...rest } = raw;
+    const content = normalizeNumbers(rest);
+    
+    // Only row events carry row images; a DDL event's `old` is a table definition
+    const types = content.database && content.table && data !== undefined
+      ? getTypes(content.database, content.table)
+      : null;
+    const convert = part => types ? convertRow(part, types) : normalizeNumbers(part);
+    
+    if (data !== undefined) {
+      content.data = convert(data);
+    }
+    if (old !== undefined) {
+      content.old = convert(old);
+    }
+    
+    return content;
+  }
+  
+  /**
+   * Update the known column types from a DDL event
+   */
+  function learnFromSchemaChange(content) {
+    if (content.type === 'table-drop' && content.table) {
+      learned.delete(`${content.database}.${content.table}`);
+    }
+    
+    const definition = content.def || content.after;
+    if (definition && definition.table) {
+      learned.set(`${definition.database || content.database}.${definition.table}`, getColumnTypes(definition));
+    }
+  }
+  
+  /**
+   * Learn the current column types of every table from the schema history
+   */
+  async function loadSchemaHistory(schemaHistory) {
+    const cursor = schemaHistory.find({ type: { $in: ['table-create', 'table-alter', 'table-drop'] } }).sort({ ts: 1, _id: 1 });
+    let count = 0;
+    for await (const entry of cursor) {
+      learnFromSchemaChange(entry);
+      count++;
+    }
+    return count;
+  }
+  
+  return { parseMessage, learnFromSchemaChange, loadSchemaHistory, getTypes };
+}
+
+module.exports = {
+  convertValue,
+  getColumnTypes,
+  createTypeMapper
+};
@@ -1,46 +1,35 @@
 #!/usr/bin/env node
 const mysql = require('mysql2/promise');
-const winston = require('winston');
+const { createLogger } = require('./logger');
+const { initConfig, addConfigArguments } = require('./config');
+const { buildMysqlOptions } = require('./connection_options');
+const { loadWorkloadProfile, createWorkload } = require('./workload');
+const { runLoad, logLoadSummary } = require('./load_runner');
 const argparse = require('argparse');
-const crypto = require('crypto');
+
+// Settings from defaults, config file, env vars and flags (see config.js)
+const config = initConfig(['mysql', 'workload', 'logging']);
 
 // Configure logging
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} - ${level}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const logger = createLogger({ service: 'upsert-worker', ...config.logging });
 
-// MySQL connection configuration
-const MYSQL_HOST = process.env.MYSQL_HOST || 'mysql';
-const MYSQL_PORT = parseInt(process.env.MYSQL_PORT || '3306');
-const MYSQL_USER = process.env.MYSQL_USER || 'root';
-const MYSQL_PASSWORD = process.env.MYSQL_PASSWORD || 'rootpassword';
-const MYSQL_DATABASE = process.env.MYSQL_DATABASE || 'sample_db';
+// MySQL configuration; connection and SSL settings stay in `config`
+const MYSQL_DATABASE = config.mysql.database;
 
 /**
- * Establish connection to MySQL with retry logic
+ * Create a pool of `connectionLimit` MySQL connections, waiting until MySQL
+ * accepts connections
  */
-async function connectToMySQL() {
+async function connectToMySQL(connectionLimit) {
+  const pool = mysql.createPool({ ...buildMysqlOptions(config.mysql), connectionLimit });
+  
   while (true) {
     try {
-      const connection = await mysql.createConnection({
-        host: MYSQL_HOST,
-        port: MYSQL_PORT,
-        user: MYSQL_USER,
-        password: MYSQL_PASSWORD,
-        database: MYSQL_DATABASE
-      });
+      const connection = await pool.getConnection();
+      connection.release();
       
-      logger.info('Successfully connected to MySQL');
-      return connection;
+      logger.info(`Successfully connected to MySQL with a pool of ${connectionLimit} connections`);
+      return pool;
     } catch (error) {
       logger.warn(`Failed to connect to MySQL: ${error.message}. Retrying in 5 seconds...`);
       await new Promise(resolve => setTimeout(resolve, 5000));
@@ -49,245 +38,33 @@ async function connectToMySQL() {
 }
 
 /**
- * Generate a random name for testing
- */
-function generateRandomName() {
-  const firstNames = ['James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda', 'William', 'Elizabeth'];
-  const lastNames = ['Smith', 'Johnson', 'Williams', 'Jones', 'Brown', 'Davis', 'Miller', 'Wilson', 'Moore', 'Taylor'];
-  
-  return `${firstNames[Math.floor(Math.random() * firstNames.length)]} ${lastNames[Math.floor(Math.random() * lastNames.length)]}`;
-}
-
-/**
- * Generate a random email address for testing
+ * Run the transactions of a workload profile, the built-in one by default, on
+ * a pool of `concurrency` connections until `count` operations or `duration` seconds,
+ * at most `rate` per second. Logs and returns the latency summary.
  */
-function generateRandomEmail(name = null) {
-  if (name === null) {
-    name = generateRandomName();
-  }
-  
-  // Convert name to lowercase and replace spaces with dots
-  const emailName = name.toLowerCase().replace(/\s+/g, '.');
-  
-  // Add some randomness to ensure uniqueness
-  const randomString = crypto.randomBytes(5).toString('hex');
-  
-  const domains = ['example.com', 'test.com', 'sample.org', 'mail.net'];
-  const domain = domains[Math.floor(Math.random() * domains.length)];
+async function runOperations({ count, duration, rate, concurrency, profile }) {
+  const pool = await connectToMySQL(concurrency);
   
-  return `${emailName}.${randomString}@${domain}`;
-}
-
-/**
- * Generate a random status for testing
- */
-function generateRandomStatus() {
-  const statuses = ['active', 'inactive', 'pending', 'suspended'];
-  return statuses[Math.floor(Math.random() * statuses.length)];
-}
-
-/**
- * Perform an insert operation
- */
-async function performInsert(connection) {
   try {
-    const name = generateRandomName();
-    const email = generateRandomEmail(name);
-    const status = generateRandomStatus();
-    
-    const query = 'INSERT INTO users (name, email, status) VALUES (?, ?, ?)';
-    const values = [name, email, status];
-    
-    const [result] = await connection.execute(query, values);
-    
-    const userId = result.insertId;
-    logger.info(`Inserted new user with ID ${userId}: ${name}, ${email}, ${status}`);
-    
-    return userId;
-  } catch (error) {
-    logger.error(`Error performing insert: ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Perform an update operation
- */
-async function performUpdate(connection, userId = null) {
-  try {
-    // If no userId is provided, select a random user
-    if (userId === null) {
-      const [rows] = await connection.execute('SELECT id FROM users ORDER BY RAND() LIMIT 1');
-      
-      if (rows.length > 0) {
-        userId = rows[0].id;
-      } else {
-        logger.warn('No users found to update');
-        return null;
-      }
-    }
-    
-    // Generate new values
-    const name = generateRandomName();
-    const status = generateRandomStatus();
-    
-    const query = 'UPDATE users SET name = ?, status = ? WHERE id = ?';
-    const values = [name, status, userId];
-    
-    const [result] = await connection.execute(query, values);
-    
-    if (result.affectedRows > 0) {
-      logger.info(`Updated user with ID ${userId}: new name = ${name}, new status = ${status}`);
-      return userId;
-    } else {
-      logger.warn(`User with ID ${userId} not found`);
-      return null;
-    }
-  } catch (error) {
-    logger.error(`Error performing update: ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Perform an upsert operation using INSERT ... ON DUPLICATE KEY UPDATE
- */
-async function performUpsert(connection, email = null) {
-  try {
-    const name = generateRandomName();
-    if (email === null) {
-      email = generateRandomEmail(name);
-    }
-    const status = generateRandomStatus();
-    
-    const query = `
-      INSERT INTO users (name, email, status) 
-      VALUES (?, ?, ?)
-      ON DUPLICATE KEY UPDATE 
-      name = VALUES(name),
-      status = VALUES(status)
-    `;
-    const values = [name, email, status];
-    
-    const [result] = await connection.execute(query, values);
-    
-    // Determine if it was an insert or update
-    let action, userId;
-    
-    if (result.insertId === 0) {
-      action = 'Updated';
-      // Get the ID of the updated user
-      const [rows] = await connection.execute('SELECT id FROM users WHERE email = ?', [email]);
-      userId = rows[0].id;
-    } else {
-      action = 'Inserted';
-      userId = result.insertId;
-    }
-    
-    logger.info(`${action} user with ID ${userId}: ${name}, ${email}, ${status}`);
-    
-    return userId;
-  } catch (error) {
-    logger.error(`Error performing upsert: ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Delete a user from the database
- */
-async function deleteUser(connection, userId = null) {
-  try {
-    // If no userId is provided, select a random user
-    if (userId === null) {
-      const [rows] = await connection.execute('SELECT id FROM users ORDER BY RAND() LIMIT 1');
-      
-      if (rows.length > 0) {
-        userId = rows[0].id;
-      } else {
-        logger.warn('No users found to delete');
-        return null;
-      }
-    }
-    
-    const query = 'DELETE FROM users WHERE id = ?';
-    
-    const [result] = await connection.execute(query, [userId]);
-    
-    if (result.affectedRows > 0) {
-      logger.info(`Deleted user with ID ${userId}`);
-      return userId;
-    } else {
-      logger.warn(`User with ID ${userId} not found`);
-      return null;
+    const workload = createWorkload({
+      profile: profile ? loadWorkloadProfile(profile) : undefined,
+      database: MYSQL_DATABASE,
+      logger
+    });
+    const connection = await pool.getConnection();
+    try {
+      await workload.prepare(connection);
+    } finally {
+      connection.release();
     }
-  } catch (error) {
-    logger.error(`Error performing delete: ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Run a series of database operations with parallel execution
- */
-async function runOperations(numOperations = 10, interval = 2.0, concurrency = 5) {
-  const connection = await connectToMySQL();
-  
-  try {
-    logger.info(`Starting operations with concurrency level: ${concurrency}`);
+    logger.info(profile ? `Running workload profile ${profile}` : 'Running the built-in workload');
     
-    // Process operations in batches based on concurrency
-    for (let i = 0; i < numOperations; i += concurrency) {
-      const batchSize = Math.min(concurrency, numOperations - i);
-      logger.info(`Running batch ${Math.floor(i/concurrency) + 1} with ${batchSize} operations in parallel`);
-      
-      // Create an array of operation promises to execute in parallel
-      const operationPromises = [];
-      
-      for (let j = 0; j < batchSize; j++) {
-        operationPromises.push((async () => {
-          const operations = ['insert', 'update', 'upsert', 'delete'];
-          const operation = operations[Math.floor(Math.random() * operations.length)];
-          
-          if (operation === 'insert') {
-            return await performInsert(connection);
-          } else if (operation === 'update') {
-            return await performUpdate(connection);
-          } else if (operation === 'upsert') {
-            // 50% chance to use an existing email for an update
-            if (Math.random() < 0.5) {
-              const [rows] = await connection.execute('SELECT email FROM users ORDER BY RAND() LIMIT 1');
-              
-              if (rows.length > 0) {
-                return await performUpsert(connection, rows[0].email);
-              } else {
-                return await performUpsert(connection);
-              }
-            } else {
-              return await performUpsert(connection);
-            }
-          } else if (operation === 'delete') {
-            return await deleteUser(connection);
-          }
-        })());
-      }
-      
-      // Execute all operations in this batch in parallel
-      logger.info(`Executing batch ${Math.floor(i/concurrency) + 1} with ${batchSize} parallel operations...`);
-      await Promise.all(operationPromises);
-      logger.info(`Completed batch ${Math.floor(i/concurrency) + 1}`);
-      
-      // Sleep between batches
-      if (i + batchSize < numOperations) {
-        logger.info(`Batch ${Math.floor(i/concurrency) + 1} completed. Waiting ${interval} seconds before next batch...`);
-        await new Promise(resolve => setTimeout(resolve, interval * 1000));
-      }
-    }
+    const summary = await runLoad({ pool, nextOperation: workload.nextOperation, concurrency, rate, count, duration, logger });
+    logLoadSummary(summary, logger);
+    return summary;
   } finally {
-    if (connection) {
-      await connection.end();
-      logger.info('MySQL connection closed');
-    }
+    await pool.end();
+    logger.info('MySQL connection pool closed');
   }
 }
 
@@ -303,24 +80,54 @@ async function main() {
   parser.add_argument('--operations', {
     dest: 'operations',
     type: 'int',
-    default: 10,
-    help: 'Number of operations to perform'
+    help: 'Number of operations to perform (default: 10, unlimited with --duration)'
+  });
+  
+  parser.add_argument('--duration', {
+    dest: 'duration',
+    type: 'float',
+    help: 'Run for this many seconds instead of a number of operations'
+  });
+  
+  parser.add_argument('--rate', {
+    dest: 'rate',
+    type: 'float',
+    help: 'Operations started per second across all connections (0 is unlimited)'
   });
   
   parser.add_argument('--interval', {
     dest: 'interval',
     type: 'float',
     default: 2.0,
-    help: 'Interval between operations in seconds'
+    help: 'Interval between operations in seconds, used when --rate is not given'
   });
   
+  parser.add_argument('--concurrency', {
+    dest: 'concurrency',
+    type: 'int',
+    default: config.workload.concurrency,
+    help: 'Number of pooled connections running operations in parallel (default: CONCURRENCY or 5)'
+  });
+  
+  parser.add_argument('--profile', {
+    dest: 'profile',
+    default: config.workload.profile,
+    help: 'JSON or YAML workload profile; operations then count transactions (default: WORKLOAD_PROFILE)'
+  });
+  
+  addConfigArguments(parser);
+  
   const args = parser.parse_args();
+  if (args.concurrency < 1) {
+    parser.error('--concurrency must be at least 1');
+  }
   
-  // Handle concurrency through environment variable or default to 5
-  const concurrency = parseInt(process.env.CONCURRENCY || '5');
+  const rate = args.rate !== undefined ? args.rate : (args.interval > 0 ? 1 / args.interval : 0);
+  const count = args.operations !== undefined ? args.operations : (args.duration ? null : 10);
   
-  logger.info(`Starting worker with ${args.operations} operations, ${args.interval}s interval, and ${concurrency} concurrent operations`);
-  await runOperations(args.operations, args.interval, concurrency);
+  const limits = [count !== null ? `${count} operations` : null, args.duration ? `${args.duration}s` : null].filter(Boolean).join(' or ');
+  logger.info(`Starting worker for ${limits} at ${rate > 0 ? `${rate} operations/s` : 'unlimited rate'} with ${args.concurrency} concurrent connections`);
+  await runOperations({ count, duration: args.duration, rate, concurrency: args.concurrency, profile: args.profile });
 }
 
 // Start the application
@@ -0,0 +1,438 @@
+// workload.js
+// Declarative workload profiles for the test workers (upsert_worker.js and
+// parallel_upsert.js).
+//
+// A profile is a JSON or YAML file describing what to run, e.g.
+//   seed: 42
+//   operations: { insert: 2, update: 5, upsert: 2, delete: 1 }
+//   transactions: { min: 1, max: 4 }
+//   hotKeys: { fraction: 0.1, probability: 0.8 }
+//   tables:
+//     - name: users
+//       key: id
+//       uniqueKey: email
+//       columns:
+//         name: { generator: name }
+//         email: { generator: email }
+//         status: { generator: choice, values: [active, inactive] }
+//       update: [name, status]
+// Operations and tables are picked by weight. Each operation runs as one
+// transaction of `transactions` statements (BEGIN/COMMIT when more than one).
+// With hotKeys, updates, upserts and deletes hit the `fraction` of oldest known
+// rows with the given `probability`. A fixed `seed` makes the operation mix,
+// chosen rows and generated values reproducible for a sequential run against
+// the same data.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const mysql = require('mysql2/promise');
+
+const OPERATIONS = ['insert', 'update', 'upsert', 'delete'];
+
+// Most existing keys of a table loaded for picking rows to change
+const MAX_LOADED_KEYS = 10000;
+
+const FIRST_NAMES = ['James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda', 'William', 'Elizabeth'];
+const LAST_NAMES = ['Smith', 'Johnson', 'Williams', 'Jones', 'Brown', 'Davis', 'Miller', 'Wilson', 'Moore', 'Taylor'];
+const EMAIL_DOMAINS = ['example.com', 'test.com', 'sample.org', 'mail.net'];
+
+// The built-in workload: a uniform mix on the users table of the sample database
+const DEFAULT_PROFILE = {
+  operations: { insert: 1, update: 1, upsert: 1, delete: 1 },
+  transactions: { min: 1, max: 1 },
+  hotKeys: null,
+  tables: [
+    {
+      name: 'users',
+      weight: 1,
+      key: 'id',
+      uniqueKey: 'email',
+      columns: {
+        name: { generator: 'name' },
+        email: { generator: 'email', from: 'name' },
+        status: { generator: 'choice', values: ['active', 'inactive', 'pending', 'suspended'] }
+      },
+      update: ['name', 'status'],
+      upsertExisting: 0.5
+    }
+  ]
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = values => values[Math.floor(next() * values.length)];
+  const hex = length => Array.from({ length }, () => Math.floor(next() * 16).toString(16)).join('');
+  
+  // Pick an index of a list of weights
+  const weightedIndex = weights => {
+    const total = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+    let point = next() * total;
+    for (let index = 0; index < weights.length; index++) {
+      point -= Math.max(0, weights[index]);
+      if (point < 0) {
+        return index;
+      }
+    }
+    return weights.length - 1;
+  };
+  
+  // Pick a key of an object of weights
+  const weighted = weights => {
+    const keys = Object.keys(weights);
+    return keys[weightedIndex(keys.map(key => weights[key]))];
+  };
+  
+  return { next, int, pick, hex, weightedIndex, weighted };
+}
+
+// Column value generators by name: (random, spec, row) -> value
+const GENERATORS = {
+  name: random => `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+  email: (random, spec, row) => {
+    const name = spec.from && row[spec.from] ? row[spec.from] : `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+    return `${String(name).toLowerCase().replace(/\s+/g, '.')}.${random.hex(10)}@${random.pick(EMAIL_DOMAINS)}`;
+  },
+  choice: (random, spec) => spec.weights ? spec.values[random.weightedIndex(spec.weights)] : random.pick(spec.values),
+  int: (random, spec) => random.int(spec.min !== undefined ? spec.min : 0, spec.max !== undefined ? spec.max : 1000000),
+  float: (random, spec) => {
+    const min = spec.min !== undefined ? spec.min : 0;
+    const max = spec.max !== undefined ? spec.max : 1;
+    return Number((min + random.next() * (max - min)).toFixed(spec.decimals !== undefined ? spec.decimals : 2));
+  },
+  string: (random, spec) => `${spec.prefix || ''}${random.hex(spec.length || 12)}`,
+  boolean: random => random.next() < 0.5 ? 1 : 0,
+  uuid: random => {
+    const hex = random.hex(32);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20)}`;
+  },
+  now: () => new Date(),
+  constant: (random, spec) => spec.value
+};
+
+/**
+ * Check a profile and fill in defaults. Throws one error listing every problem.
+ */
+function validateProfile(profile, source) {
+  const errors = [];
+  const result = {
+    seed: profile.seed !== undefined ? profile.seed : null,
+    operations: profile.operations || DEFAULT_PROFILE.operations,
+    transactions: profile.transactions || DEFAULT_PROFILE.transactions,
+    hotKeys: profile.hotKeys || null,
+    tables: []
+  };
+  
+  if (result.seed !== null && !Number.isInteger(result.seed)) {
+    errors.push('seed must be an integer');
+  }
+  
+  for (const [operation, weight] of Object.entries(result.operations)) {
+    if (!OPERATIONS.includes(operation)) {
+      errors.push(`operations.${operation} is not an operation, expected one of ${OPERATIONS.join(', ')}`);
+    } else if (typeof weight !== 'number' || weight < 0) {
+      errors.push(`operations.${operation} must be a weight of 0 or more`);
+    }
+  }
+  if (!Object.values(result.operations).some(weight => weight > 0)) {
+    errors.push('operations needs at least one positive weight');
+  }
+  
+  if (typeof result.transactions === 'number') {
+    result.transactions = { min: result.transactions, max: result.transactions };
+  }
+  const { min, max } = result.transactions;
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+    errors.push('transactions must be a size of at least 1 or { min, max } with 1 <= min <= max');
+  }
+  
+  if (result.hotKeys) {
+    const { fraction, probability } = result.hotKeys;
+    if (typeof fraction !== 'number' || fraction <= 0 || fraction > 1) {
+      errors.push('hotKeys.fraction must be above 0 and at most 1');
+    }
+    if (typeof probability !== 'number' || probability < 0 || probability > 1) {
+      errors.push('hotKeys.probability must be between 0 and 1');
+    }
+  }
+  
+  const tables = profile.tables || DEFAULT_PROFILE.tables;
+  if (!Array.isArray(tables) || tables.length === 0) {
+    errors.push('tables must be a non-empty list');
+  }
+  
+  (Array.isArray(tables) ? tables : []).forEach((table, index) => {
+    const name = table.name || `tables[${index}]`;
+    if (!table.name) {
+      errors.push(`tables[${index}].name is required`);
+    }
+    if (!table.columns || typeof table.columns !== 'object' || Object.keys(table.columns).length === 0) {
+      errors.push(`${name}.columns must map at least one column to a generator`);
+      return;
+    }
+    
+    for (const [column, spec] of Object.entries(table.columns)) {
+      if (!spec || !GENERATORS[spec.generator]) {
+        errors.push(`${name}.columns.${column}.generator must be one of ${Object.keys(GENERATORS).join(', ')}`);
+      } else if (spec.generator === 'choice' && (!Array.isArray(spec.values) || spec.values.length === 0)) {
+        errors.push(`${name}.columns.${column}.values must be a non-empty list`);
+      } else if (spec.generator === 'choice' && spec.weights && (!Array.isArray(spec.weights) || spec.weights.length !== spec.values.length)) {
+        errors.push(`${name}.columns.${column}.weights must have one weight per value`);
+      }
+    }
+    
+    const key = table.key || 'id';
+    const update = table.update || Object.keys(table.columns).filter(column => column !== key && column !== table.uniqueKey);
+    for (const column of update) {
+      if (!table.columns[column]) {
+        errors.push(`${name}.update names ${column}, which has no generator`);
+      }
+    }
+    if (table.uniqueKey && !table.columns[table.uniqueKey]) {
+      errors.push(`${name}.uniqueKey ${table.uniqueKey} has no generator`);
+    }
+    
+    result.tables.push({
+      name: table.name,
+      weight: table.weight !== undefined ? table.weight : 1,
+      key,
+      uniqueKey: table.uniqueKey || null,
+      columns: table.columns,
+      update,
+      upsertExisting: table.upsertExisting !== undefined ? table.upsertExisting : 0.5
+    });
+  });
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid workload profile ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return result;
+}
+
+/**
+ * Read a workload profile from a JSON or YAML file, chosen by extension
+ */
+function loadWorkloadProfile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  const data = extension === '.yaml' || extension === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Workload profile ${file} must contain an object`);
+  }
+  return validateProfile(data, file);
+}
+
+/**
+ * Create a workload from a validated profile (the built-in one by default).
+ * `nextOperation()` plans the next transaction for load_runner.js, labelled
+ * with its operation, or `transaction` when it has several statements.
+ */
+function createWorkload({ profile = validateProfile(DEFAULT_PROFILE, 'built-in'), database, logger }) {
+  const seed = profile.seed !== null ? profile.seed : Math.floor(Math.random() * 2 ** 32);
+  const random = createRandom(seed);
+  const tableWeights = Object.fromEntries(profile.tables.map(table => [table.name, table.weight]));
+  const tablesByName = new Map(profile.tables.map(table => [table.name, table]));
+  
+  // Known primary keys per table, oldest first; the hot keys are at the front
+  const keys = new Map(profile.tables.map(table => [table.name, []]));
+  
+  /**
+   * Load the existing keys of every table
+   */
+  async function prepare(connection) {
+    for (const table of profile.tables) {
+      const [rows] = await connection.query(
+        `SELECT ?? AS k FROM ?? ORDER BY ?? LIMIT ${MAX_LOADED_KEYS}`,
+        [table.key, table.name, table.key]
+      );
+      keys.set(table.name, rows.map(row => row.k));
+    }
+    logger.info(`Workload seed ${seed}, tables: ${profile.tables.map(table => `${table.name} (${keys.get(table.name).length} rows)`).join(', ')}`);
+  }
+  
+  /**
+   * Pick an existing key, preferring hot keys when skew is configured
+   */
+  function pickKey(table) {
+    const known = keys.get(table.name);
+    if (known.length === 0) {
+      return null;
+    }
+    
+    if (profile.hotKeys && random.next() < profile.hotKeys.probability) {
+      const hot = Math.max(1, Math.ceil(known.length * profile.hotKeys.fraction));
+      return known[Math.floor(random.next() * hot)];
+    }
+    return known[Math.floor(random.next() * known.length)];
+  }
+  
+  /**
+   * Generate values for the given columns of a table
+   */
+  function generate(table, columns) {
+    const row = {};
+    for (const column of columns) {
+      const spec = table.columns[column];
+      row[column] = GENERATORS[spec.generator](random, spec, row);
+    }
+    return row;
+  }
+  
+  /**
+   * Plan the statements of one transaction. Planning draws every random
+   * choice up front so they happen in a fixed order.
+   */
+  function plan() {
+    const size = random.int(profile.transactions.min, profile.transactions.max);
+    const statements = [];
+    
+    for (let i = 0; i < size; i++) {
+      const table = tablesByName.get(random.weighted(tableWeights));
+      const operation = random.weighted(profile.operations);
+      const statement = { operation, table };
+      
+      if (operation === 'insert') {
+        statement.row = generate(table, Object.keys(table.columns));
+      } else if (operation === 'update') {
+        statement.key = pickKey(table);
+        statement.row = generate(table, table.update);
+      } else if (operation === 'upsert') {
+        statement.row = generate(table, Object.keys(table.columns));
+        statement.existingKey = table.uniqueKey && random.next() < table.upsertExisting ? pickKey(table) : null;
+      } else {
+        statement.key = pickKey(table);
+      }
+      
+      statements.push(statement);
+    }
+    
+    return statements;
+  }
+  
+  /**
+   * Run one statement. Returns { changed, inserted, deleted } keys for the key lists.
+   */
+  async function execute(connection, statement) {
+    const { operation, table, row } = statement;
+    const fields = { database, table: table.name, type: operation };
+    
+    if (operation === 'insert') {
+      const [result] = await connection.query('INSERT INTO ?? SET ?', [table.name, row]);
+      const key = row[table.key] !== undefined ? row[table.key] : result.insertId;
+      logger.info(`Inserted ${table.name} row ${key}`, { ...fields, id: key });
+      return { changed: true, inserted: key };
+    }
+    
+    if (operation === 'update' || operation === 'delete') {
+      if (statement.key === null) {
+        logger.warn(`No ${table.name} rows found to ${operation}`, fields);
+        return { changed: false };
+      }
+      
+      const [result] = operation === 'update'
+        ? await connection.query('UPDATE ?? SET ? WHERE ?? = ?', [table.name, row, table.key, statement.key])
+        : await connection.query('DELETE FROM ?? WHERE ?? = ?', [table.name, table.key, statement.key]);
+      
+      if (result.affectedRows === 0) {
+        logger.warn(`${table.name} row ${statement.key} not found`, { ...fields, id: statement.key });
+        return { changed: false };
+      }
+      
+      logger.info(`${operation === 'update' ? 'Updated' : 'Deleted'} ${table.name} row ${statement.key}`, { ...fields, id: statement.key });
+      return { changed: true, deleted: operation === 'delete' ? statement.key : undefined };
+    }
+    
+    // Upsert: reuse the unique key of an existing row to turn it into an update
+    if (statement.existingKey !== null) {
+      const [rows] = await connection.query('SELECT ?? AS u FROM ?? WHERE ?? = ?', [table.uniqueKey, table.name, table.key, statement.existingKey]);
+      if (rows.length > 0) {
+        row[table.uniqueKey] = rows[0].u;
+      }
+    }
+    
+    const updates = Object.keys(row).filter(column => column !== table.uniqueKey && column !== table.key);
+    const assignments = updates.length > 0
+      ? updates.map(column => `${mysql.escapeId(column)} = VALUES(${mysql.escapeId(column)})`).join(', ')
+      : `${mysql.escapeId(table.key)} = ${mysql.escapeId(table.key)}`;
+    const [result] = await connection.query(`INSERT INTO ?? SET ? ON DUPLICATE KEY UPDATE ${assignments}`, [table.name, row]);
+    
+    // MySQL reports 1 affected row for an insert and 2 for an update
+    const inserted = result.affectedRows === 1;
+    const key = inserted ? result.insertId : statement.existingKey;
+    logger.info(`Upserted ${table.name} row ${key !== null ? key : `with ${table.uniqueKey} ${row[table.uniqueKey]}`} (${inserted ? 'inserted' : 'updated'})`, { ...fields, type: inserted ? 'insert' : 'update', id: key });
+    return { changed: true, inserted: inserted ? key : undefined };
+  }
+  
+  /**
+   * Run planned statements as one transaction on a dedicated connection.
+   * Returns the number of statements that changed a row.
+   */
+  async function runTransaction(connection, statements) {
+    const explicit = statements.length > 1;
+    const results = [];
+    
+    try {
+      if (explicit) {
+        await connection.beginTransaction();
+      }
+      for (const statement of statements) {
+        results.push({ statement, ...(await execute(connection, statement)) });
+      }
+      if (explicit) {
+        await connection.commit();
+      }
+    } catch (error) {
+      if (explicit) {
+        await connection.rollback().catch(() => {});
+      }
+      throw error;
+    }
+    
+    // Only committed changes update the known keys
+    for (const { statement, inserted, deleted } of results) {
+      const known = keys.get(statement.table.name);
+      if (inserted !== undefined && inserted !== null && inserted !== 0) {
+        known.push(inserted);
+      }
+      if (deleted !== undefined) {
+        const index = known.indexOf(deleted);
+        if (index !== -1) {
+          known.splice(index, 1);
+        }
+      }
+    }
+    
+    return results.filter(result => result.changed).length;
+  }
+  
+  function nextOperation() {
+    const statements = plan();
+    return {
+      operation: statements.length > 1 ? 'transaction' : statements[0].operation,
+      run: connection => runTransaction(connection, statements)
+    };
+  }
+  
+  return { seed, prepare, nextOperation };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  createRandom,
+  validateProfile,
+  loadWorkloadProfile,
+  createWorkload
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Settings are read when the checker is loaded
+process.env.MYSQL_PASSWORD = 'test';
+process.env.LOG_LEVEL = 'error';
+
+const { getPrimaryKeyColumn, normalizeValue, compareChunk } = require('../src/consistency_check');
+
+/**
+ * MySQL connection answering every query with the given rows
+ */
+function createFakeConnection(rows) {
+  return {
+    async query() {
+      return [rows];
+    }
+  };
+}
+
+test('values from MySQL, Maxwell and type mapping normalize to the same form', () => {
+  assert.strictEqual(normalizeValue('10.50'), normalizeValue(10.5));
+  assert.strictEqual(normalizeValue('2024-01-01 10:00:00'), normalizeValue(new Date('2024-01-01T10:00:00Z')));
+  assert.strictEqual(normalizeValue('2024-01-01 10:00:00.000'), '2024-01-01 10:00:00');
+  assert.strictEqual(normalizeValue(Buffer.from('abc')), 'YWJj');
+  assert.strictEqual(normalizeValue(undefined), null);
+});
+
+test('a chunk whose rows match has equal checksums and no drift', () => {
+  const mysqlRows = [
+    { id: 1, price: '10.50', created_at: '2024-01-01 10:00:00' },
+    { id: 2, price: '3.00', created_at: '2024-01-02 10:00:00' }
+  ];
+  const changeLogRows = [
+    { _id: 2, data: { id: 2, price: 3, created_at: '2024-01-02 10:00:00' } },
+    { _id: 1, data: { id: 1, price: 10.5, created_at: new Date('2024-01-01T10:00:00Z') } }
+  ];
+  
+  const chunk = compareChunk(mysqlRows, changeLogRows, 'id', []);
+  
+  assert.strictEqual(chunk.rows, 2);
+  assert.strictEqual(chunk.mysqlChecksum, chunk.changesChecksum);
+  assert.deepStrictEqual([chunk.missing, chunk.extra, chunk.divergent], [[], [], []]);
+});
+
+test('a drifted chunk reports missing, extra and divergent rows', () => {
+  const mysqlRows = [
+    { id: 1, name: 'alice', updated_at: '2024-01-01 10:00:00' },
+    { id: 2, name: 'bob', updated_at: '2024-01-01 10:00:00' }
+  ];
+  const changeLogRows = [
+    { _id: 2, data: { id: 2, name: 'robert', updated_at: '2024-01-01 11:00:00' } },
+    { _id: 3, data: { id: 3, name: 'carol', updated_at: '2024-01-01 10:00:00' } }
+  ];
+  
+  const chunk = compareChunk(mysqlRows, changeLogRows, 'id', ['updated_at']);
+  
+  assert.notStrictEqual(chunk.mysqlChecksum, chunk.changesChecksum);
+  assert.deepStrictEqual(chunk.missing, [{ key: '1', row: { id: '1', name: 'alice' } }]);
+  assert.deepStrictEqual(chunk.extra, [{ key: '3', row: { id: '3', name: 'carol' } }]);
+  assert.deepStrictEqual(chunk.divergent, [{ key: '2', fields: { name: { mysql: 'bob', changes: 'robert' } } }]);
+});
+
+test('tables with a composite primary key are rejected', async () => {
+  await assert.rejects(
+    getPrimaryKeyColumn(createFakeConnection([{ name: 'order_id' }, { name: 'line' }]), 'sample_db', 'order_lines'),
+    /sample_db\.order_lines has a composite primary key \(order_id, line\), which is not supported/
+  );
+  await assert.rejects(getPrimaryKeyColumn(createFakeConnection([]), 'sample_db', 'missing'), /has no primary key/);
+  assert.strictEqual(await getPrimaryKeyColumn(createFakeConnection([{ name: 'id' }]), 'sample_db', 'users'), 'id');
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Settings are read when the consumer is loaded
+process.env.BATCH_SIZE = '3';
+process.env.BATCH_TIMEOUT_MS = '50';
+process.env.MAX_RETRIES = '2';
+process.env.LOG_LEVEL = 'error';
+
+const { processBatch, createBatcher } = require('../src/consumer');
+const { RETRY_COUNT_HEADER } = require('../src/dead_letter');
+const {
+  DUPLICATE_KEY_ERROR,
+  createFakeCollection,
+  createFakeDb,
+  createFakeChannel,
+  createMessage
+} = require('./helpers');
+
+/**
+ * Message with a Maxwell insert of a users row
+ */
+function insertMessage(id, deliveryTag = id) {
+  return createMessage({
+    database: 'sample_db',
+    table: 'users',
+    type: 'insert',
+    ts: 1700000000,
+    xid: 100 + id,
+    position: `mysql-bin.000001:${1000 + id}`,
+    data: { id, name: `user ${id}` }
+  }, { deliveryTag });
+}
+
+/**
+ * Whether a changes collection write is the insert of a users row
+ */
+function isInsertOf(operation, id) {
+  return Boolean(operation.insertOne) && operation.insertOne.document.data.id === id;
+}
+
+test('a batch that succeeds is acked at once up to its last message', async () => {
+  const changes = createFakeCollection();
+  const db = createFakeDb();
+  const channel = createFakeChannel();
+  const messages = [insertMessage(1), insertMessage(2), insertMessage(3)];
+  
+  await processBatch(messages, channel, db, changes);
+  
+  assert.strictEqual(changes.calls.length, 1);
+  assert.strictEqual(changes.all().length, 3);
+  assert.deepStrictEqual(db.collection('sample_db.users').all().map(row => row.name), ['user 1', 'user 2', 'user 3']);
+  assert.deepStrictEqual(channel.calls, [{ method: 'ack', message: messages[2], allUpTo: true }]);
+});
+
+test('a partially failed batch acks the rest one by one and retries or dead-letters the failures', async () => {
+  const changes = createFakeCollection([], {
+    failWrite: operation => {
+      if (isInsertOf(operation, 3)) {
+        return DUPLICATE_KEY_ERROR;
+      }
+      return isInsertOf(operation, 4) ? 1 : null;
+    }
+  });
+  const db = createFakeDb();
+  const channel = createFakeChannel();
+  const malformed = createMessage('{not json', { deliveryTag: 2 });
+  const messages = [insertMessage(1), malformed, insertMessage(3), insertMessage(4)];
+  
+  await processBatch(messages, channel, db, changes);
+  
+  assert.deepStrictEqual(channel.calls.map(call => call.method), [
+    'ack',
+    'publish', 'waitForConfirms', 'ack',
+    'ack',
+    'sendToQueue', 'waitForConfirms', 'ack'
+  ]);
+  assert.ok(channel.calls.filter(call => call.method === 'ack').every(call => call.allUpTo === false));
+  assert.deepStrictEqual(channel.calls.filter(call => call.method === 'ack').map(call => call.message), messages);
+  
+  // Malformed JSON can never succeed, the failed write is retried
+  assert.strictEqual(channel.calls[1].exchange, 'maxwell_consumer.dlx');
+  assert.strictEqual(channel.calls[5].queue, 'maxwell_consumer.retry.1000');
+  assert.strictEqual(channel.calls[5].options.headers[RETRY_COUNT_HEADER], 1);
+  
+  // The duplicate is still applied to the materialized collection, the failed write is not
+  assert.deepStrictEqual(db.collection('sample_db.users').all().map(row => row.id), [1, 3]);
+});
+
+test('the batcher flushes once BATCH_SIZE messages are waiting', async () => {
+  const changes = createFakeCollection();
+  const channel = createFakeChannel();
+  const batcher = createBatcher(createFakeDb(), changes);
+  const messages = [insertMessage(1), insertMessage(2), insertMessage(3)];
+  
+  messages.forEach(message => batcher.add(message, channel));
+  await batcher.flush();
+  
+  assert.strictEqual(changes.calls.length, 1);
+  assert.deepStrictEqual(channel.calls, [{ method: 'ack', message: messages[2], allUpTo: true }]);
+});
+
+test('the batcher flushes a partial batch after BATCH_TIMEOUT_MS', async () => {
+  const changes = createFakeCollection();
+  const channel = createFakeChannel();
+  const batcher = createBatcher(createFakeDb(), changes);
+  const message = insertMessage(1);
+  
+  batcher.add(message, channel);
+  assert.strictEqual(changes.calls.length, 0);
+  
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await batcher.flush();
+  
+  assert.strictEqual(changes.calls.length, 1);
+  assert.deepStrictEqual(channel.calls, [{ method: 'ack', message, allUpTo: true }]);
+});
+
+test('the batcher never mixes messages of two channels in one batch', async () => {
+  const changes = createFakeCollection();
+  const first = createFakeChannel();
+  const second = createFakeChannel();
+  const batcher = createBatcher(createFakeDb(), changes);
+  const messages = [insertMessage(1), insertMessage(2), insertMessage(3, 1)];
+  
+  batcher.add(messages[0], first);
+  batcher.add(messages[1], first);
+  batcher.add(messages[2], second);
+  await batcher.flush();
+  
+  assert.strictEqual(changes.calls.length, 2);
+  assert.deepStrictEqual(first.calls, [{ method: 'ack', message: messages[1], allUpTo: true }]);
+  assert.deepStrictEqual(second.calls, [{ method: 'ack', message: messages[2], allUpTo: true }]);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  RETRY_COUNT_HEADER,
+  ERROR_REASON_HEADER,
+  ORIGINAL_EXCHANGE_HEADER,
+  ORIGINAL_ROUTING_KEY_HEADER,
+  getRetryCount,
+  isRetryable,
+  retryOrDeadLetter
+} = require('../src/dead_letter');
+const { createFakeChannel, createMessage } = require('./helpers');
+
+const OPTIONS = { queue: 'maxwell', retryDelays: [1000, 5000, 30000], maxRetries: 3 };
+
+test('the first failure is retried with a retry count of 1 on the first retry queue', async () => {
+  const channel = createFakeChannel();
+  const message = createMessage({ type: 'insert' });
+  
+  const result = await retryOrDeadLetter(channel, message, new Error('write failed'), OPTIONS);
+  
+  assert.deepStrictEqual(result, { action: 'retry', attempt: 1, delay: 1000 });
+  const [publish] = channel.calls;
+  assert.strictEqual(publish.method, 'sendToQueue');
+  assert.strictEqual(publish.queue, 'maxwell.retry.1000');
+  assert.strictEqual(publish.options.headers[RETRY_COUNT_HEADER], 1);
+  assert.strictEqual(publish.options.headers[ORIGINAL_EXCHANGE_HEADER], 'maxwell');
+  assert.strictEqual(publish.options.headers[ORIGINAL_ROUTING_KEY_HEADER], 'maxwell');
+  assert.ok(publish.content.equals(message.content));
+});
+
+test('later retries count up and stay on the last delay', async () => {
+  const channel = createFakeChannel();
+  const message = createMessage({ type: 'insert' }, {
+    headers: { [RETRY_COUNT_HEADER]: 2, [ORIGINAL_EXCHANGE_HEADER]: 'maxwell', [ORIGINAL_ROUTING_KEY_HEADER]: 'maxwell' },
+    exchange: '',
+    routingKey: 'maxwell'
+  });
+  
+  const result = await retryOrDeadLetter(channel, message, new Error('write failed'), { ...OPTIONS, retryDelays: [1000], maxRetries: 5 });
+  
+  assert.deepStrictEqual(result, { action: 'retry', attempt: 3, delay: 1000 });
+  assert.strictEqual(channel.calls[0].options.headers[RETRY_COUNT_HEADER], 3);
+  // Retries arrive from the default exchange but keep the original source
+  assert.strictEqual(channel.calls[0].options.headers[ORIGINAL_EXCHANGE_HEADER], 'maxwell');
+});
+
+test('a message that used up its retries goes to the dead-letter exchange', async () => {
+  const channel = createFakeChannel();
+  const message = createMessage({ type: 'insert' }, { headers: { [RETRY_COUNT_HEADER]: 3 } });
+  
+  const result = await retryOrDeadLetter(channel, message, new Error('write failed'), OPTIONS);
+  
+  assert.deepStrictEqual(result, { action: 'dead-letter', attempt: 3, retryable: true });
+  const [publish] = channel.calls;
+  assert.strictEqual(publish.method, 'publish');
+  assert.strictEqual(publish.exchange, 'maxwell.dlx');
+  assert.strictEqual(publish.options.headers[RETRY_COUNT_HEADER], 3);
+  assert.strictEqual(publish.options.headers[ERROR_REASON_HEADER], 'write failed');
+});
+
+test('malformed JSON is dead-lettered without retries', async () => {
+  const channel = createFakeChannel();
+  const message = createMessage('{not json');
+  let parseError;
+  try {
+    JSON.parse(message.content.toString());
+  } catch (error) {
+    parseError = error;
+  }
+  
+  assert.strictEqual(isRetryable(parseError), false);
+  const result = await retryOrDeadLetter(channel, message, parseError, OPTIONS);
+  
+  assert.deepStrictEqual(result, { action: 'dead-letter', attempt: 0, retryable: false });
+  assert.strictEqual(channel.calls[0].exchange, 'maxwell.dlx');
+});
+
+test('errors marked as not retryable are dead-lettered without retries', async () => {
+  const error = new Error('unsupported event');
+  error.retryable = false;
+  
+  const result = await retryOrDeadLetter(createFakeChannel(), createMessage({}), error, OPTIONS);
+  
+  assert.strictEqual(result.action, 'dead-letter');
+});
+
+test('the original is acked only after the publish is confirmed', async () => {
+  for (const headers of [{}, { [RETRY_COUNT_HEADER]: 3 }]) {
+    const channel = createFakeChannel();
+    const message = createMessage({ type: 'insert' }, { headers });
+    
+    await retryOrDeadLetter(channel, message, new Error('write failed'), OPTIONS);
+    
+    assert.deepStrictEqual(channel.calls.slice(1).map(call => call.method), ['waitForConfirms', 'ack']);
+    assert.strictEqual(channel.calls[2].message, message);
+  }
+});
+
+test('a rejected publish throws and leaves the original unacked', async () => {
+  const channel = createFakeChannel({ confirmError: new Error('nacked by broker') });
+  
+  await assert.rejects(
+    retryOrDeadLetter(channel, createMessage({ type: 'insert' }), new Error('write failed'), OPTIONS),
+    /nacked by broker/
+  );
+  assert.ok(!channel.calls.some(call => call.method === 'ack'));
+});
+
+test('getRetryCount reads the header and defaults to 0', () => {
+  assert.strictEqual(getRetryCount(createMessage({})), 0);
+  assert.strictEqual(getRetryCount(createMessage({}, { headers: { [RETRY_COUNT_HEADER]: '2' } })), 2);
+  assert.strictEqual(getRetryCount({ properties: {} }), 0);
+});
@@ -0,0 +1,238 @@
+// helpers.js
+// In-memory stand-ins for the MongoDB and RabbitMQ objects the modules under
+// test talk to. They implement only what the tests need.
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Value at a dotted path of a document
+ */
+function getPath(document, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), document);
+}
+
+/**
+ * Whether a value satisfies a query condition: a literal or an object of
+ * $exists, $lt, $lte, $gt, $gte, $ne and $in operators
+ */
+function matchesCondition(value, condition) {
+  const isOperators = condition !== null && typeof condition === 'object' &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+  
+  if (!isOperators) {
+    return JSON.stringify(value) === JSON.stringify(condition);
+  }
+  
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$exists': return (value !== undefined) === operand;
+      case '$lt': return value !== undefined && value !== null && value < operand;
+      case '$lte': return value !== undefined && value !== null && value <= operand;
+      case '$gt': return value !== undefined && value !== null && value > operand;
+      case '$gte': return value !== undefined && value !== null && value >= operand;
+      case '$ne': return JSON.stringify(value) !== JSON.stringify(operand);
+      case '$in': return operand.some(item => JSON.stringify(item) === JSON.stringify(value));
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+}
+
+/**
+ * Whether a document matches a MongoDB filter ($or, $and and field conditions)
+ */
+function matchesFilter(document, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(part => matchesFilter(document, part));
+    }
+    if (key === '$and') {
+      return condition.every(part => matchesFilter(document, part));
+    }
+    return matchesCondition(getPath(document, key), condition);
+  });
+}
+
+/**
+ * Error shaped like a failed bulkWrite, from `[{ index, code, errmsg }]`
+ */
+function bulkWriteError(writeErrors) {
+  const error = new Error(writeErrors[0].errmsg);
+  error.writeErrors = writeErrors;
+  return error;
+}
+
+/**
+ * Error raised by a single write, with the server error code
+ */
+function writeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Collection keeping documents by _id, with insertOne/replaceOne/deleteOne
+ * bulk writes, insertOne and createIndex. Inserting an existing _id or a
+ * guarded upsert that matches nothing while the _id exists fails with a
+ * duplicate key error, like MongoDB. `failWrite(operation)` may return an
+ * error code to fail a write with.
+ */
+function createFakeCollection(documents = [], { failWrite = () => null } = {}) {
+  const store = new Map(documents.map(document => [JSON.stringify(document._id), document]));
+  const calls = [];
+  const indexes = [];
+  let nextId = 1;
+  
+  function applyOperation(operation) {
+    const failure = failWrite(operation);
+    if (failure !== null) {
+      throw writeError(failure, 'write failed');
+    }
+    
+    if (operation.insertOne) {
+      const { document } = operation.insertOne;
+      // The driver adds an _id to documents inserted without one
+      if (document._id === undefined) {
+        document._id = `generated-${nextId++}`;
+      }
+      const key = JSON.stringify(document._id);
+      if (store.has(key)) {
+        throw writeError(DUPLICATE_KEY_ERROR, 'duplicate key');
+      }
+      store.set(key, document);
+    } else if (operation.replaceOne) {
+      const { filter, replacement, upsert } = operation.replaceOne;
+      const key = JSON.stringify(filter._id);
+      const current = store.get(key);
+      
+      if (current && matchesFilter(current, filter)) {
+        store.set(key, { ...replacement, _id: filter._id });
+      } else if (current) {
+        if (upsert) {
+          throw writeError(DUPLICATE_KEY_ERROR, 'duplicate key');
+        }
+      } else if (upsert) {
+        store.set(key, { ...replacement, _id: filter._id });
+      }
+    } else if (operation.deleteOne) {
+      const key = JSON.stringify(operation.deleteOne.filter._id);
+      const current = store.get(key);
+      if (current && matchesFilter(current, operation.deleteOne.filter)) {
+        store.delete(key);
+      }
+    } else {
+      throw new Error(`Unsupported operation ${Object.keys(operation)[0]}`);
+    }
+  }
+  
+  return {
+    calls,
+    indexes,
+    get(id) {
+      return store.get(JSON.stringify(id));
+    },
+    all() {
+      return [...store.values()];
+    },
+    // Ordered writes stop at the first error, unordered ones report them all at the end
+    async bulkWrite(operations, { ordered = true } = {}) {
+      calls.push(operations);
+      const writeErrors = [];
+      for (let index = 0; index < operations.length; index++) {
+        try {
+          applyOperation(operations[index]);
+        } catch (error) {
+          writeErrors.push({ index, code: error.code, errmsg: error.message });
+          if (ordered) {
+            break;
+          }
+        }
+      }
+      if (writeErrors.length > 0) {
+        throw bulkWriteError(writeErrors);
+      }
+      return { ok: 1 };
+    },
+    async insertOne(document) {
+      applyOperation({ insertOne: { document } });
+      return { insertedId: document._id };
+    },
+    async createIndex(keys, options) {
+      indexes.push({ keys, options });
+      return options.name;
+    }
+  };
+}
+
+/**
+ * Database handing out a fake collection per name, created on first use
+ */
+function createFakeDb(collections = {}) {
+  const byName = new Map(Object.entries(collections));
+  const commands = [];
+  
+  return {
+    commands,
+    collection(name) {
+      if (!byName.has(name)) {
+        byName.set(name, createFakeCollection());
+      }
+      return byName.get(name);
+    },
+    async command(command) {
+      commands.push(command);
+      return { ok: 1 };
+    }
+  };
+}
+
+/**
+ * Confirm channel recording every call in order. `confirmError` makes
+ * waitForConfirms reject, as when the broker nacks a publish.
+ */
+function createFakeChannel({ confirmError = null } = {}) {
+  const calls = [];
+  
+  return {
+    calls,
+    sendToQueue(queue, content, options) {
+      calls.push({ method: 'sendToQueue', queue, content, options });
+      return true;
+    },
+    publish(exchange, routingKey, content, options) {
+      calls.push({ method: 'publish', exchange, routingKey, content, options });
+      return true;
+    },
+    async waitForConfirms() {
+      calls.push({ method: 'waitForConfirms' });
+      if (confirmError) {
+        throw confirmError;
+      }
+    },
+    ack(message, allUpTo = false) {
+      calls.push({ method: 'ack', message, allUpTo });
+    },
+    nack(message, allUpTo = false, requeue = true) {
+      calls.push({ method: 'nack', message, allUpTo, requeue });
+    }
+  };
+}
+
+/**
+ * RabbitMQ message with a JSON body
+ */
+function createMessage(body, { deliveryTag = 1, headers = {}, exchange = 'maxwell', routingKey = 'maxwell' } = {}) {
+  return {
+    content: Buffer.from(typeof body === 'string' ? body : JSON.stringify(body)),
+    fields: { deliveryTag, exchange, routingKey },
+    properties: { headers, contentType: 'application/json' }
+  };
+}
+
+module.exports = {
+  DUPLICATE_KEY_ERROR,
+  matchesFilter,
+  createFakeCollection,
+  createFakeDb,
+  createFakeChannel,
+  createMessage
+};
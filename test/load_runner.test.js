@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, percentile, createLoadStats, runLoad } = require('../src/load_runner');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Replace Date.now with a clock the test moves, restored after the test
+ */
+function useFakeClock(t, start = 1000000) {
+  const realNow = Date.now;
+  const clock = { now: start };
+  Date.now = () => clock.now;
+  t.after(() => {
+    Date.now = realNow;
+  });
+  return clock;
+}
+
+/**
+ * Pool handing out connections and counting how many are out
+ */
+function createFakePool() {
+  const pool = { acquired: 0, released: 0 };
+  pool.getConnection = async () => {
+    pool.acquired++;
+    return { release: () => { pool.released++; } };
+  };
+  return pool;
+}
+
+test('percentile uses the nearest rank of a sorted sample', () => {
+  const sample = Array.from({ length: 100 }, (_, index) => index + 1);
+  
+  assert.strictEqual(percentile(sample, 50), 50);
+  assert.strictEqual(percentile(sample, 95), 95);
+  assert.strictEqual(percentile(sample, 99), 99);
+  assert.strictEqual(percentile(sample, 100), 100);
+  assert.strictEqual(percentile(sample, 0), 1);
+  assert.strictEqual(percentile([10, 20, 30, 40], 50), 20);
+  assert.strictEqual(percentile([10, 20, 30, 40], 90), 40);
+  assert.strictEqual(percentile([7], 99), 7);
+  assert.strictEqual(percentile([], 50), null);
+});
+
+test('load stats summarize latencies per operation and group errors by code', () => {
+  const stats = createLoadStats();
+  [30, 10, 20].forEach(ms => stats.recordSuccess('insert', ms));
+  stats.recordError('insert', Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+  stats.recordError('update', Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+  stats.recordError('update', new Error('timeout'));
+  
+  const { operations, errors } = stats.summarize();
+  
+  assert.deepStrictEqual(operations.insert, { count: 3, errors: 1, p50: 20, p90: 30, p99: 30, max: 30 });
+  assert.deepStrictEqual(operations.update, { count: 0, errors: 2, p50: null, p90: null, p99: null, max: null });
+  assert.deepStrictEqual(errors, { ER_DUP_ENTRY: 2, timeout: 1 });
+});
+
+test('the rate limiter spreads starts evenly at the given rate', t => {
+  const clock = useFakeClock(t);
+  const limiter = createRateLimiter(10);
+  
+  assert.deepStrictEqual([limiter.reserve(), limiter.reserve(), limiter.reserve()], [1000000, 1000100, 1000200]);
+  
+  // Time spent idle is not made up for with a burst
+  clock.now += 5000;
+  assert.deepStrictEqual([limiter.reserve(), limiter.reserve()], [1005000, 1005100]);
+});
+
+test('without a rate every operation may start right away', t => {
+  useFakeClock(t);
+  const limiter = createRateLimiter(0);
+  
+  assert.deepStrictEqual([limiter.reserve(), limiter.reserve()], [1000000, 1000000]);
+});
+
+test('runLoad runs count operations across the workers and counts failures', async () => {
+  const pool = createFakePool();
+  let next = 0;
+  const nextOperation = () => {
+    const index = next++;
+    return {
+      operation: index % 2 === 0 ? 'insert' : 'update',
+      run: async () => {
+        if (index === 3) {
+          throw Object.assign(new Error('Deadlock found'), { code: 'ER_LOCK_DEADLOCK' });
+        }
+      }
+    };
+  };
+  
+  const summary = await runLoad({ pool, nextOperation, concurrency: 3, count: 7, logger: silentLogger });
+  
+  assert.strictEqual(summary.total, 7);
+  assert.strictEqual(summary.failed, 1);
+  assert.strictEqual(summary.operations.insert.count, 4);
+  assert.strictEqual(summary.operations.update.count, 2);
+  assert.deepStrictEqual(summary.errors, { ER_LOCK_DEADLOCK: 1 });
+  assert.strictEqual(pool.released, pool.acquired);
+});
+
+test('runLoad stops starting operations at the end of the duration', async () => {
+  const pool = createFakePool();
+  const nextOperation = () => ({ operation: 'insert', run: async () => {} });
+  
+  // 50 per second for 0.2 seconds leaves room for 10 starts
+  const summary = await runLoad({ pool, nextOperation, concurrency: 2, rate: 50, duration: 0.2, logger: silentLogger });
+  
+  assert.ok(summary.total >= 9 && summary.total <= 11, `${summary.total} operations started`);
+  assert.strictEqual(summary.failed, 0);
+});
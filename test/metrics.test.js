@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { createMetrics, startMetricsServer } = require('../src/metrics');
+
+/**
+ * Logger keeping its messages by level
+ */
+function createFakeLogger() {
+  const messages = { info: [], error: [] };
+  return {
+    messages,
+    info: message => messages.info.push(message),
+    error: message => messages.error.push(message)
+  };
+}
+
+/**
+ * GET a path of a local server, resolving to `{ status, body }`
+ */
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Start the metrics server on a free port and wait until it listens
+ */
+async function startServer(t, options) {
+  const server = startMetricsServer({ port: 0, host: '127.0.0.1', getHealth: async () => ({ live: true, checks: {} }), ...options });
+  t.after(() => server.close());
+  await once(server, 'listening');
+  return server;
+}
+
+test('a port that is already in use is logged instead of crashing', async t => {
+  const taken = http.createServer();
+  taken.listen(0, '127.0.0.1');
+  await once(taken, 'listening');
+  t.after(() => taken.close());
+  const logger = createFakeLogger();
+  
+  const server = startMetricsServer({
+    port: taken.address().port,
+    host: '127.0.0.1',
+    metrics: createMetrics({ collectDefault: false }),
+    getHealth: async () => ({ live: true, checks: {} }),
+    logger
+  });
+  await once(server, 'error');
+  
+  assert.strictEqual(logger.messages.error.length, 1);
+  assert.match(logger.messages.error[0], /EADDRINUSE/);
+});
+
+test('/metrics serves the registry', async t => {
+  const metrics = createMetrics({ collectDefault: false });
+  metrics.acked.inc({ database: 'sample_db', table: 'users', type: 'insert' });
+  const server = await startServer(t, { metrics, logger: createFakeLogger() });
+  
+  const { status, body } = await get(server.address().port, '/metrics');
+  
+  assert.strictEqual(status, 200);
+  assert.match(body, /maxwell_consumer_messages_acked_total\{database="sample_db",table="users",type="insert"\} 1/);
+});
+
+test('/metrics answers 500 when collecting fails', async t => {
+  const metrics = createMetrics({ collectDefault: false });
+  metrics.registry.metrics = async () => {
+    throw new Error('collect failed');
+  };
+  const logger = createFakeLogger();
+  const server = await startServer(t, { metrics, logger });
+  
+  const { status, body } = await get(server.address().port, '/metrics');
+  
+  assert.strictEqual(status, 500);
+  assert.deepStrictEqual(JSON.parse(body), { error: 'collect failed' });
+  assert.deepStrictEqual(logger.messages.error, ['Error serving /metrics: collect failed']);
+});
+
+test('/readyz is 503 until every check is ok, /healthz follows liveness', async t => {
+  const checks = { rabbitmq: { ok: false }, mongodb: { ok: true } };
+  const server = await startServer(t, {
+    metrics: createMetrics({ collectDefault: false }),
+    logger: createFakeLogger(),
+    getHealth: async () => ({ live: true, checks })
+  });
+  const { port } = server.address();
+  
+  assert.strictEqual((await get(port, '/healthz')).status, 200);
+  assert.strictEqual((await get(port, '/readyz')).status, 503);
+  
+  checks.rabbitmq.ok = true;
+  assert.strictEqual((await get(port, '/readyz')).status, 200);
+  assert.strictEqual((await get(port, '/unknown')).status, 404);
+});
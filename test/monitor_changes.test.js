@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { formatTimestamp, watchForChanges } = require('../src/monitor_changes');
+
+/**
+ * ObjectId created the given number of seconds ago
+ */
+function idSecondsAgo(seconds, counter) {
+  const hex = ObjectId.createFromTime(Math.floor(Date.now() / 1000) - seconds).toHexString();
+  return new ObjectId(hex.slice(0, 18) + counter.toString(16).padStart(6, '0'));
+}
+
+/**
+ * Whether an ObjectId is inside an {$gt, $lt} range
+ */
+function inRange(id, range) {
+  const hex = id.toHexString();
+  return (!range.$gt || hex > range.$gt.toHexString()) && (!range.$lt || hex < range.$lt.toHexString());
+}
+
+/**
+ * Database with a change log that can be read by _id and watched. The change
+ * stream yields `streamEvents` and records the options it was opened with.
+ */
+function createFakeDb(changes, streamEvents = []) {
+  const watches = [];
+  
+  const changeLog = {
+    find(filter) {
+      const matching = changes
+        .filter(change => inRange(change._id, filter._id))
+        .sort((a, b) => a._id.toHexString().localeCompare(b._id.toHexString()));
+      return {
+        sort() {
+          return (async function* () {
+            yield* matching;
+          })();
+        }
+      };
+    },
+    watch(pipeline, options) {
+      watches.push({ pipeline, options });
+      return {
+        async *[Symbol.asyncIterator]() {
+          yield* streamEvents;
+        },
+        async close() {}
+      };
+    }
+  };
+  
+  return {
+    watches,
+    changeLog,
+    async command(command) {
+      assert.deepStrictEqual(command, { ping: 1 });
+      return { operationTime: 'operation-time' };
+    },
+    collection() {
+      return { async updateOne() {} };
+    }
+  };
+}
+
+test('formatTimestamp reads Maxwell timestamps as Unix seconds', () => {
+  assert.strictEqual(formatTimestamp(1700000000), '2023-11-14 22:13:20');
+  assert.strictEqual(formatTimestamp(0), '1970-01-01 00:00:00');
+});
+
+test('catching up before the change stream includes changes inside the settle window', async () => {
+  const older = { _id: idSecondsAgo(60, 1), table: 'users' };
+  const recent = { _id: idSecondsAgo(0, 2), table: 'users' };
+  const db = createFakeDb([older, recent]);
+  const shown = [];
+  
+  await watchForChanges(db, db.changeLog, { lastId: idSecondsAgo(120, 0) }, {
+    filter: {},
+    show: change => shown.push(change),
+    checkpointName: null
+  });
+  
+  assert.deepStrictEqual(shown, [older, recent]);
+  assert.strictEqual(db.watches.length, 1);
+  assert.deepStrictEqual(db.watches[0].options, { startAtOperationTime: 'operation-time' });
+});
+
+test('changes shown by the catch-up are not shown again by the change stream', async () => {
+  const caughtUp = { _id: idSecondsAgo(0, 1), table: 'users' };
+  const streamed = { _id: idSecondsAgo(0, 2), table: 'users' };
+  const db = createFakeDb([caughtUp], [
+    { _id: 'token-1', fullDocument: caughtUp },
+    { _id: 'token-2', fullDocument: streamed }
+  ]);
+  const shown = [];
+  
+  await watchForChanges(db, db.changeLog, { lastId: idSecondsAgo(120, 0) }, {
+    filter: {},
+    show: change => shown.push(change),
+    checkpointName: null
+  });
+  
+  assert.deepStrictEqual(shown, [caughtUp, streamed]);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  encodeBinlogPosition,
+  buildVersion,
+  buildVersionGuard,
+  buildTombstone,
+  createPartitionedExecutor
+} = require('../src/ordering');
+const { matchesFilter, createFakeCollection } = require('./helpers');
+
+/**
+ * Guarded upsert of a row, as the consumer builds it
+ */
+function upsertRow(id, content) {
+  const version = buildVersion(content);
+  return {
+    replaceOne: {
+      filter: { _id: id, ...buildVersionGuard(version) },
+      replacement: { ...content.data, _id: id, _version: version },
+      upsert: true
+    }
+  };
+}
+
+/**
+ * Guarded tombstone of a deleted row
+ */
+function deleteRow(id, content) {
+  const version = buildVersion(content);
+  return {
+    replaceOne: {
+      filter: { _id: id, ...buildVersionGuard(version) },
+      replacement: buildTombstone(id, version),
+      upsert: true
+    }
+  };
+}
+
+test('buildVersion defaults missing coordinates', () => {
+  assert.deepStrictEqual(buildVersion({ ts: 10 }), { ts: 10, position: '', xid: 0, xoffset: 0 });
+});
+
+test('binlog positions are encoded to sort in binlog order', () => {
+  const [first, second, third] = ['mysql-bin.000009:99999', 'mysql-bin.000009:123456', 'mysql-bin.000010:4']
+    .map(encodeBinlogPosition);
+  
+  assert.ok(first < second, 'offsets compare numerically');
+  assert.ok(second < third, 'a later binlog file sorts after');
+  assert.strictEqual(encodeBinlogPosition(undefined), '');
+});
+
+test('version guard matches rows without a version', () => {
+  assert.ok(matchesFilter({ _id: 1 }, buildVersionGuard(buildVersion({ ts: 1 }))));
+});
+
+test('an older event loses to a newer one', async () => {
+  const replica = createFakeCollection();
+  
+  await replica.bulkWrite([upsertRow(1, { ts: 200, xid: 5, data: { name: 'new' } })]);
+  await assert.rejects(
+    replica.bulkWrite([upsertRow(1, { ts: 100, xid: 9, data: { name: 'old' } })]),
+    error => error.writeErrors[0].code === 11000
+  );
+  
+  assert.strictEqual(replica.get(1).name, 'new');
+});
+
+test('a newer event replaces an older one', async () => {
+  const replica = createFakeCollection();
+  
+  await replica.bulkWrite([upsertRow(1, { ts: 100, data: { name: 'old' } })]);
+  await replica.bulkWrite([upsertRow(1, { ts: 200, data: { name: 'new' } })]);
+  
+  assert.strictEqual(replica.get(1).name, 'new');
+});
+
+test('ties on ts are broken by binlog position, not xid', () => {
+  const stored = { _id: 1, _version: buildVersion({ ts: 100, position: 'mysql-bin.000003:5000', xid: 90 }) };
+  
+  // Committed later in the same second, but with a lower xid
+  assert.ok(matchesFilter(stored, buildVersionGuard(buildVersion({ ts: 100, position: 'mysql-bin.000003:12000', xid: 40 }))));
+  // Committed earlier in the same second, but with a higher xid
+  assert.ok(!matchesFilter(stored, buildVersionGuard(buildVersion({ ts: 100, position: 'mysql-bin.000003:900', xid: 95 }))));
+});
+
+test('without positions, ties on ts are broken by xid, then xoffset', () => {
+  const stored = { _id: 1, _version: buildVersion({ ts: 100, xid: 7, xoffset: 2 }) };
+  const guard = content => buildVersionGuard(buildVersion({ ts: 100, ...content }));
+  
+  assert.ok(matchesFilter(stored, guard({ xid: 8, xoffset: 0 })));
+  assert.ok(!matchesFilter(stored, guard({ xid: 6, xoffset: 9 })));
+  assert.ok(matchesFilter(stored, guard({ xid: 7, xoffset: 3 })));
+  assert.ok(!matchesFilter(stored, guard({ xid: 7, xoffset: 1 })));
+  assert.ok(!matchesFilter(stored, guard({ xid: 7, xoffset: 2 })), 'the same event is not newer');
+});
+
+test('rows of one transaction are ordered by xoffset', () => {
+  const position = 'mysql-bin.000003:5000';
+  const stored = { _id: 1, _version: buildVersion({ ts: 100, position, xid: 7, xoffset: 2 }) };
+  
+  assert.ok(matchesFilter(stored, buildVersionGuard(buildVersion({ ts: 100, position, xid: 7, xoffset: 3 }))));
+  assert.ok(!matchesFilter(stored, buildVersionGuard(buildVersion({ ts: 100, position, xid: 7, xoffset: 1 }))));
+});
+
+test('a stale update after a delete does not recreate the row', async () => {
+  const replica = createFakeCollection();
+  
+  await replica.bulkWrite([upsertRow(1, { ts: 100, data: { name: 'inserted' } })]);
+  await replica.bulkWrite([deleteRow(1, { ts: 300 })]);
+  await assert.rejects(replica.bulkWrite([upsertRow(1, { ts: 200, data: { name: 'retried update' } })]));
+  
+  const row = replica.get(1);
+  assert.strictEqual(row._deleted, true);
+  assert.deepStrictEqual(row._version, buildVersion({ ts: 300 }));
+  assert.strictEqual(row.name, undefined);
+});
+
+test('tombstones record when the row was deleted for their TTL index', () => {
+  const deletedAt = new Date('2024-05-01T12:00:00Z');
+  
+  assert.deepStrictEqual(buildTombstone(1, buildVersion({ ts: 300 }), deletedAt), {
+    _id: 1,
+    _version: buildVersion({ ts: 300 }),
+    _deleted: true,
+    _deleted_at: deletedAt,
+    _source: 'binlog'
+  });
+});
+
+test('a newer insert replaces a tombstone', async () => {
+  const replica = createFakeCollection();
+  
+  await replica.bulkWrite([deleteRow(1, { ts: 300 })]);
+  await replica.bulkWrite([upsertRow(1, { ts: 400, data: { name: 'reinserted' } })]);
+  
+  assert.strictEqual(replica.get(1).name, 'reinserted');
+  assert.strictEqual(replica.get(1)._deleted, undefined);
+});
+
+test('tasks with the same key run one after another in submission order', async () => {
+  const executor = createPartitionedExecutor(4);
+  const events = [];
+  
+  const task = (name, delay) => async () => {
+    events.push(`start ${name}`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    events.push(`end ${name}`);
+  };
+  
+  await Promise.all([
+    executor.run('users:1', task('a', 20)),
+    executor.run('users:1', task('b', 0)),
+    executor.run('users:1', task('c', 5))
+  ]);
+  
+  assert.deepStrictEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+});
+
+test('a failed task does not block its partition', async () => {
+  const executor = createPartitionedExecutor(1);
+  
+  await assert.rejects(executor.run('k', async () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.strictEqual(await executor.run('k', async () => 'next'), 'next');
+});
+
+test('runExclusive waits for every partition and blocks them while it runs', async () => {
+  const executor = createPartitionedExecutor(8);
+  const events = [];
+  
+  const task = (name, delay) => async () => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    events.push(name);
+  };
+  
+  await Promise.all([
+    executor.run('users:1', task('row 1', 20)),
+    executor.run('users:2', task('row 2', 10)),
+    executor.runExclusive(task('ddl', 0)),
+    executor.run('users:1', task('row 1 after ddl', 0)),
+    executor.run('users:3', task('row 3 after ddl', 0))
+  ]);
+  
+  assert.deepStrictEqual(events.slice(0, 2).sort(), ['row 1', 'row 2']);
+  assert.strictEqual(events[2], 'ddl');
+  assert.deepStrictEqual(events.slice(3).sort(), ['row 1 after ddl', 'row 3 after ddl']);
+});
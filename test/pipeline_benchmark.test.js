@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Settings are read when the benchmark is loaded
+process.env.MYSQL_PASSWORD = 'test';
+process.env.LOG_LEVEL = 'error';
+
+const { getArrivalTime, createArrivalTracker } = require('../src/pipeline_benchmark');
+
+test('arrival times come from the consumer\'s received_at', () => {
+  assert.strictEqual(getArrivalTime({ received_at: 1700000000.25 }), 1700000000250);
+  
+  const before = Date.now();
+  const arrivedAt = getArrivalTime({});
+  assert.ok(arrivedAt >= before && arrivedAt <= Date.now());
+});
+
+test('latency runs from the commit to the arrival, whichever is recorded first', () => {
+  const tracker = createArrivalTracker();
+  
+  tracker.commit('bench-a-1', 'insert', 1000);
+  tracker.arrive('bench-a-1', 1040);
+  // The event of the second write is seen before its commit is recorded
+  tracker.arrive('bench-a-2', 1110);
+  tracker.commit('bench-a-2', 'update', 1100);
+  
+  const summary = tracker.summarize();
+  assert.strictEqual(summary.committed, 2);
+  assert.strictEqual(summary.arrived, 2);
+  assert.strictEqual(summary.latency.insert.max, 40);
+  assert.strictEqual(summary.latency.update.max, 10);
+  assert.strictEqual(summary.latency.all.count, 2);
+  assert.strictEqual(summary.lastArrivalAt, 1110);
+});
+
+test('writes pending for longer than the timeout count as missing', () => {
+  const tracker = createArrivalTracker();
+  
+  tracker.commit('bench-a-1', 'insert', 1000);
+  tracker.commit('bench-a-2', 'insert', 2000);
+  tracker.expire(2500, 1000);
+  
+  assert.deepStrictEqual(tracker.pendingMarkers(), ['bench-a-2']);
+  assert.strictEqual(tracker.summarize().missing, 1);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Binary, Decimal128, Long } = require('mongodb');
+const { convertValue, createTypeMapper } = require('../src/type_mapping');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Text of a fixture file; Maxwell payloads are parsed from text to keep their numbers exact
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Type mapper that has seen the orders table-create event
+ */
+function createOrdersMapper(options) {
+  const mapper = createTypeMapper(options);
+  mapper.learnFromSchemaChange(mapper.parseMessage(readFixture('orders_table_create.json')));
+  return mapper;
+}
+
+test('BIGINT columns become Long without losing precision', () => {
+  const { data } = createOrdersMapper().parseMessage(readFixture('orders_update.json'));
+  
+  assert.ok(data.id instanceof Long);
+  assert.strictEqual(data.id.toString(), '9007199254740993');
+});
+
+test('BIGINT values beyond the signed 64-bit range become Decimal128', () => {
+  const { data } = createOrdersMapper().parseMessage(readFixture('orders_update.json'));
+  
+  assert.ok(data.external_id instanceof Decimal128);
+  assert.strictEqual(data.external_id.toString(), '18446744073709551615');
+});
+
+test('DECIMAL columns become Decimal128 with their full precision and scale', () => {
+  const { data, old } = createOrdersMapper().parseMessage(readFixture('orders_update.json'));
+  
+  assert.ok(data.total instanceof Decimal128);
+  assert.strictEqual(data.total.toString(), '12345678901234567.89');
+  // The old row image is converted too and keeps the trailing zero
+  assert.strictEqual(old.total.toString(), '0.10');
+});
+
+test('DATETIME, TIMESTAMP and DATE columns become UTC Dates, zero dates stay strings', () => {
+  const { data, old } = createOrdersMapper().parseMessage(readFixture('orders_update.json'));
+  
+  assert.deepStrictEqual(data.placed_at, new Date('2024-02-29T13:45:10Z'));
+  assert.deepStrictEqual(data.updated_at, new Date('2024-02-29T13:45:10.250Z'));
+  assert.deepStrictEqual(data.ship_date, new Date('2024-03-01T00:00:00Z'));
+  assert.strictEqual(old.updated_at, '0000-00-00 00:00:00');
+});
+
+test('binary columns are decoded from base64 into Binary', () => {
+  const { data } = createOrdersMapper().parseMessage(readFixture('orders_update.json'));
+  
+  assert.ok(data.token instanceof Binary);
+  assert.deepStrictEqual([...data.token.buffer], [0, 1, 2, 255]);
+  assert.strictEqual(Buffer.from(data.receipt.buffer).toString(), 'hello');
+});
+
+test('columns of unknown type stay plain values unless they would lose precision', () => {
+  const { data, xid } = createOrdersMapper().parseMessage(readFixture('orders_update.json'));
+  
+  assert.strictEqual(data.note, 'gift');
+  assert.strictEqual(data.quantity, 3);
+  assert.ok(data.legacy_ref instanceof Long);
+  assert.strictEqual(data.legacy_ref.toString(), '123456789012345678');
+  // Fields outside the row images are protected the same way
+  assert.ok(xid instanceof Long);
+});
+
+test('the schema file takes precedence over types learned from DDL events', () => {
+  const mapper = createOrdersMapper({ schemaFile: path.join(FIXTURES, 'orders_type_schema.json') });
+  
+  const { data } = mapper.parseMessage(readFixture('orders_update.json'));
+  
+  assert.strictEqual(data.placed_at, '2024-02-29 13:45:10');
+  assert.ok(data.quantity instanceof Decimal128);
+  assert.ok(data.total instanceof Decimal128);
+});
+
+test('dropping a table forgets its learned types', () => {
+  const mapper = createOrdersMapper();
+  
+  mapper.learnFromSchemaChange({ type: 'table-drop', database: 'sample_db', table: 'orders' });
+  
+  assert.deepStrictEqual(mapper.getTypes('sample_db', 'orders'), {});
+});
+
+test('convertValue leaves nulls and decimals given as strings exact', () => {
+  assert.strictEqual(convertValue(null, 'bigint'), null);
+  assert.strictEqual(convertValue('99.990', 'decimal').toString(), '99.990');
+  assert.strictEqual(convertValue('not a date', 'datetime'), 'not a date');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PROFILE, createRandom, validateProfile, createWorkload } = require('../src/workload');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * MySQL connection with rows 1..rows in the users table, recording the keys
+ * that updates and deletes hit
+ */
+function createFakeConnection(rows) {
+  const hits = [];
+  return {
+    hits,
+    async query(sql, params) {
+      if (sql.startsWith('SELECT ?? AS k')) {
+        return [Array.from({ length: rows }, (_, index) => ({ k: index + 1 }))];
+      }
+      if (sql.startsWith('UPDATE') || sql.startsWith('DELETE')) {
+        hits.push(params[params.length - 1]);
+      }
+      return [{ affectedRows: 1, insertId: rows + 1 }];
+    }
+  };
+}
+
+/**
+ * Run a workload of updates for the given number of operations and return the keys it hit
+ */
+async function runUpdates(profile, operations) {
+  const workload = createWorkload({
+    profile: validateProfile({ ...DEFAULT_PROFILE, operations: { update: 1 }, ...profile }, 'test'),
+    database: 'sample_db',
+    logger: silentLogger
+  });
+  const connection = createFakeConnection(100);
+  await workload.prepare(connection);
+  
+  for (let i = 0; i < operations; i++) {
+    await workload.nextOperation().run(connection);
+  }
+  return connection.hits;
+}
+
+test('the same seed gives the same sequence, another seed a different one', () => {
+  const draw = seed => {
+    const random = createRandom(seed);
+    return Array.from({ length: 20 }, () => random.next());
+  };
+  
+  assert.deepStrictEqual(draw(42), draw(42));
+  assert.notDeepStrictEqual(draw(42), draw(43));
+  assert.ok(draw(7).every(value => value >= 0 && value < 1));
+});
+
+test('weighted picks never choose a zero weight', () => {
+  const random = createRandom(1);
+  
+  for (let i = 0; i < 100; i++) {
+    assert.strictEqual(random.weighted({ insert: 0, update: 3 }), 'update');
+  }
+});
+
+test('a seeded workload hits the same rows on every run', async () => {
+  const first = await runUpdates({ seed: 42 }, 50);
+  const second = await runUpdates({ seed: 42 }, 50);
+  
+  assert.deepStrictEqual(first, second);
+});
+
+test('hot keys take the configured share of updates', async () => {
+  // 80% go to the 10 hot keys; the other 20% are spread over all 100 rows,
+  // so 0.8 + 0.2 * 0.1 = 82% of the updates hit a hot key
+  const hits = await runUpdates({ seed: 7, hotKeys: { fraction: 0.1, probability: 0.8 } }, 2000);
+  const hotShare = hits.filter(key => key <= 10).length / hits.length;
+  
+  assert.strictEqual(hits.length, 2000);
+  assert.ok(hotShare > 0.78 && hotShare < 0.86, `hot key share ${hotShare}`);
+});
+
+test('without hot keys updates spread over every row', async () => {
+  const hits = await runUpdates({ seed: 7 }, 2000);
+  const hotShare = hits.filter(key => key <= 10).length / hits.length;
+  
+  assert.ok(hotShare > 0.07 && hotShare < 0.13, `share of the first 10 rows ${hotShare}`);
+});
+
+test('invalid profiles list every problem', () => {
+  assert.throws(
+    () => validateProfile({ ...DEFAULT_PROFILE, seed: 1.5, hotKeys: { fraction: 2, probability: 0.5 } }, 'broken.yml'),
+    error => /seed must be an integer/.test(error.message) && /hotKeys\.fraction must be above 0 and at most 1/.test(error.message)
+  );
+});